@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+/**
+ * audio2mp4.js
+ * The whole pipeline in one command: transcribe an audio file (transcribe.py),
+ * render the subtitled video (generateVideo()) and optionally deliver it to
+ * the Telegram job in a telegram-meta.json.
+ *
+ * Usage:
+ *   node scripts/audio2mp4.js audio/input.mp3 [--output output.mp4] [--mode karaoke]
+ *                             [--preset neon | --style my-style.json] [--formats 9x16,1x1]
+ *                             [--lang auto] [--model small]
+ *
+ *   npm run pipeline -- audio/input.mp3 --mode karaoke
+ *
+ * Transcripts are cached by audio content, model and language
+ * (lib/transcript-cache.js), so re-rendering the same audio with another
+ * style or mode skips Whisper. The transcript is also written to --words
+ * (default: words.json next to --output).
+ *
+ *   --cache-dir DIR      cache location (default ~/.cache/audio2mp4, or AUDIO2MP4_CACHE_DIR)
+ *   --no-cache           always transcribe
+ *   --cache-frames       also keep rendered frames in <cache-dir>/frames
+ *
+ * Burning subtitles onto a video: --video input.mp4 (its sound is
+ * transcribed when no audio file is given). --subs, --concurrency and --pipe
+ * are passed on to generate-video.js, as are the clip and audio options
+ * (--start, --end, --trim-silence, --normalize, --target-lufs, --fade-in,
+ * --fade-out). The whole recording is transcribed, so one cached transcript
+ * serves every excerpt of it.
+ *
+ * Delivery: --telegram-meta telegram-meta.json (from telegram-poll.js)
+ * shows progress in the job's status message and sends the video as a
+ * reply (lib/telegram-upload.js). Needs TELEGRAM_BOT_TOKEN; --api-base as
+ * in the other telegram scripts. The job's audio_file/video_file and its
+ * settings (mode, style, lang, format, background) are used for anything
+ * not given on the command line:
+ *
+ *   node scripts/audio2mp4.js --telegram-meta telegram-meta.json --output output.mp4
+ *
+ * Exit codes:
+ *   0 — done
+ *   3 — transcription failed
+ *   4 — rendering failed
+ *   5 — delivery failed
+ *   1 — any other error (bad arguments, missing files)
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { generateVideo, UsageError, StyleError } = require('./generate-video');
+const { transcribeCached, defaultCacheDir } = require('./lib/transcript-cache');
+const { createTelegramApi, apiBaseFromEnv } = require('./lib/telegram-api');
+const { createStatus, progressText } = require('./lib/telegram-status');
+const { deliverVideo, maxUploadMB } = require('./lib/telegram-upload');
+const { buildCaption } = require('./telegram-reply');
+const settingsLib = require('./lib/telegram-settings');
+
+const MODELS = ['tiny', 'base', 'small', 'medium', 'large'];
+const EXIT = { transcribe: 3, render: 4, deliver: 5 };
+
+// ---------------------------------------------------------------------------
+// Argument parsing
+// ---------------------------------------------------------------------------
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    audio:   null,
+    video:   null,
+    output:  'output.mp4',
+    words:   null,
+    formats: [],
+    style:   null,
+    preset:  null,
+    mode:    null,
+    lang:    null,
+    model:   'small',
+    python:  process.env.PYTHON || 'python3',
+    subs:    [],
+    concurrency: null,
+    pipe:    false,
+    start:   null,
+    end:     null,
+    trimSilence: false,
+    normalize: null,
+    fadeIn:  0,
+    fadeOut: 0,
+    cacheDir: defaultCacheDir(),
+    noCache: false,
+    cacheFrames: false,
+    telegramMeta: null,
+    meta:    null,
+    token:   process.env.TELEGRAM_BOT_TOKEN || '',
+    apiBase: apiBaseFromEnv(),
+    maxUploadMB: maxUploadMB(),
+  };
+  const list = s => s.split(',').map(x => x.trim()).filter(Boolean);
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--audio':   opts.audio   = args[++i]; break;
+      case '--video':   opts.video   = args[++i]; break;
+      case '--output':  opts.output  = args[++i]; break;
+      case '--words':   opts.words   = args[++i]; break;
+      case '--formats': opts.formats = list(args[++i]); break;
+      case '--style':   opts.style   = args[++i]; break;
+      case '--preset':  opts.preset  = args[++i]; break;
+      case '--mode':    opts.mode    = args[++i]; break;
+      case '--lang':    opts.lang    = args[++i]; break;
+      case '--model':   opts.model   = args[++i]; break;
+      case '--python':  opts.python  = args[++i]; break;
+      case '--subs':    opts.subs    = list(args[++i].toLowerCase()); break;
+      case '--concurrency': opts.concurrency = parseInt(args[++i], 10); break;
+      case '--pipe':    opts.pipe    = true; break;
+      case '--start':   opts.start   = args[++i]; break;
+      case '--end':     opts.end     = args[++i]; break;
+      case '--trim-silence': opts.trimSilence = true; break;
+      case '--normalize':   opts.normalize   = opts.normalize == null ? true : opts.normalize; break;
+      case '--target-lufs': opts.normalize   = parseFloat(args[++i]); break;
+      case '--fade-in':  opts.fadeIn  = parseFloat(args[++i]); break;
+      case '--fade-out': opts.fadeOut = parseFloat(args[++i]); break;
+      case '--cache-dir': opts.cacheDir = args[++i]; break;
+      case '--no-cache':  opts.noCache  = true; break;
+      case '--cache-frames': opts.cacheFrames = true; break;
+      case '--telegram-meta': opts.telegramMeta = args[++i]; break;
+      case '--token':    opts.token   = args[++i]; break;
+      case '--api-base': opts.apiBase = args[++i]; break;
+      case '--max-upload-mb': opts.maxUploadMB = parseFloat(args[++i]); break;
+      default:
+        if (args[i].startsWith('--')) throw new UsageError(`unknown option ${args[i]}`);
+        if (opts.audio) throw new UsageError(`unexpected argument "${args[i]}" (one audio file at a time)`);
+        opts.audio = args[i];
+    }
+  }
+
+  if (opts.telegramMeta) applyJobSettings(opts);
+  opts.lang = opts.lang || 'auto';
+
+  opts.input = opts.audio || opts.video;
+  if (!opts.input) throw new UsageError('an audio file is required: audio2mp4.js <audio> [options]');
+  if (!fs.existsSync(opts.input)) throw new UsageError(`file not found: ${opts.input}`);
+  if (!MODELS.includes(opts.model)) throw new UsageError(`unknown --model "${opts.model}" (expected: ${MODELS.join(', ')})`);
+  if (opts.lang !== 'auto' && !/^[a-z]{2,3}$/.test(opts.lang)) {
+    throw new UsageError(`unknown --lang "${opts.lang}" (use a code such as en or es, or "auto")`);
+  }
+  if (opts.telegramMeta && !opts.token) {
+    throw new UsageError('--telegram-meta needs a bot token (--token or TELEGRAM_BOT_TOKEN env var)');
+  }
+  opts.words = opts.words || path.join(path.dirname(opts.output), 'words.json');
+  if (opts.noCache) opts.cacheDir = null;
+  return opts;
+}
+
+// Fill in what the command line left open from the Telegram job's metadata:
+// its files and the chat's settings at the time it was sent
+function applyJobSettings(opts) {
+  if (!fs.existsSync(opts.telegramMeta)) throw new UsageError(`file not found: ${opts.telegramMeta}`);
+  const meta = opts.meta = JSON.parse(fs.readFileSync(opts.telegramMeta, 'utf8'));
+  const settings = Object.assign({}, settingsLib.DEFAULTS, meta.settings);
+  if (!opts.audio && !opts.video) {
+    opts.audio = meta.audio_file || null;
+    // A sent video's picture is the background unless /background plain
+    if (meta.video_file && settings.background === 'video') opts.video = meta.video_file;
+  }
+  opts.mode = opts.mode || settings.mode;
+  opts.lang = opts.lang || settings.lang;
+  if (!opts.style && !opts.preset && settings.style !== 'default') opts.preset = settings.style;
+  if (opts.formats.length === 0) opts.formats = [settings.format];
+}
+
+// Tag an error with the exit code of the step that failed
+function step(name, promise) {
+  return promise.catch(err => {
+    err.exitCode = EXIT[name];
+    throw err;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+async function main() {
+  const opts = parseArgs();
+
+  const meta = opts.meta;
+  let status = null;
+  let api = null;
+  if (meta) {
+    api = createTelegramApi({ token: opts.token, apiBase: opts.apiBase });
+    status = createStatus(api, meta, { logger: console });
+  }
+
+  console.log(`\n=== audio2mp4 ===`);
+  console.log(`Input:  ${opts.input}`);
+  if (meta) {
+    console.log(`Settings: mode=${opts.mode} style=${opts.preset || 'default'} lang=${opts.lang} ` +
+      `format=${opts.formats.join(',')}${opts.video ? ' (video background)' : ''}`);
+  }
+
+  // 1. Transcribe (or reuse a cached transcript)
+  if (status) await status.set('transcribe');
+  const transcript = await step('transcribe', transcribeCached({
+    audio:    opts.input,
+    output:   opts.words,
+    model:    opts.model,
+    language: opts.lang,
+    python:   opts.python,
+    cacheDir: opts.cacheDir,
+    onLine:   line => console.log(line),
+  }));
+  const lang = transcript.language || 'en';
+  console.log(transcript.cached
+    ? `Transcript: ${opts.words} (cached, ${opts.model} model)`
+    : `Transcript: ${opts.words}`);
+  console.log(`Language: ${lang}`);
+
+  // 2. Render
+  if (status) await status.set('render');
+  let lastPercent = -1;
+  const result = await step('render', generateVideo({
+    words:   opts.words,
+    audio:   opts.audio,
+    video:   opts.video,
+    output:  opts.output,
+    formats: opts.formats,
+    style:   opts.style,
+    preset:  opts.preset,
+    mode:    opts.mode,
+    lang,
+    subs:    opts.subs,
+    concurrency: opts.concurrency,
+    pipe:    opts.pipe,
+    start:   opts.start,
+    end:     opts.end,
+    trimSilence: opts.trimSilence,
+    normalize:   opts.normalize,
+    fadeIn:  opts.fadeIn,
+    fadeOut: opts.fadeOut,
+    cacheDir: opts.cacheFrames && opts.cacheDir ? path.join(opts.cacheDir, 'frames') : null,
+    logger:  console,
+    onProgress: ev => {
+      if (ev.stage === 'frames') {
+        process.stdout.write(`\rRendering frames: ${ev.rendered}/${ev.total}`);
+        if (ev.rendered === ev.total) process.stdout.write('\n');
+      } else if (ev.stage === 'ffmpeg' && Math.floor(ev.percent / 10) > lastPercent) {
+        lastPercent = Math.floor(ev.percent / 10);
+        console.log(`Encoding: ${Math.floor(ev.percent)}%`);
+      } else if (ev.stage === 'done') {
+        lastPercent = -1;
+      }
+      const text = status && progressText(ev);
+      if (text) status.progress(text);
+    },
+  }));
+  for (const out of result.outputs) {
+    console.log(`✅ Video written to: ${out.output} (${(out.size / 1024 / 1024).toFixed(2)} MB)`);
+  }
+
+  // 3. Deliver
+  if (meta) {
+    await status.settled();
+    const caption = buildCaption({
+      lang,
+      durationSec: meta.duration_sec || 0,
+      mode:  result.mode,
+      style: opts.preset || 'default',
+    });
+    const sent = await step('deliver', deliverVideo(api, meta.chat_id, result.output, {
+      caption,
+      replyTo: meta.message_id,
+      maxMB:   opts.maxUploadMB,
+      onStage: text => { console.log(text); status.set(text); },
+      logger:  console,
+    }));
+    console.log(`✅ Video sent to chat ${meta.chat_id} (${sent.method})`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    if (err instanceof UsageError || err instanceof StyleError) {
+      console.error(`ERROR: ${err.message}`);
+    } else {
+      console.error('FATAL:', err.message || err);
+    }
+    process.exit(err.exitCode || 1);
+  });
+}
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * batch-render.js
+ * Renders every job in a JSONL manifest (lib/batch.js) with generateVideo(),
+ * several at a time, and writes a JSON report with each job's status,
+ * output files and sizes, timings and error.
+ *
+ * Usage:
+ *   node scripts/batch-render.js clips.jsonl [--jobs 2] [--report clips.report.json] [--force]
+ *
+ * Each line takes generate-video.js's options by their API names: audio,
+ * video, words, style, preset, mode, lang, output, formats, subs,
+ * embedSubs, corrections, speakers, secondaryWords, secondaryLang, start,
+ * end, trimSilence, normalize, fadeIn, fadeOut, plus an optional id. A job without words is transcribed first (transcribe.py, with
+ * `model` and `lang`); the transcript is cached like audio2mp4.js does and
+ * written next to the output as <output>.words.json.
+ *
+ *   --jobs N          jobs rendered at once (default 1); frame rendering
+ *                     threads are split between them
+ *   --report FILE     default: the manifest's name with .report.json
+ *   --force           render every job, even those that are up to date
+ *   --cache-dir DIR   transcript cache (default ~/.cache/audio2mp4); --no-cache to skip it
+ *   --verbose         include each job's render log
+ *
+ * Jobs whose outputs are up to date — same options, unchanged inputs, files
+ * still there — are skipped. A failed job doesn't stop the others.
+ *
+ * Exit codes:
+ *   0 — every job done or skipped
+ *   2 — at least one job failed (see the report)
+ *   1 — error (bad arguments, unreadable manifest)
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const { generateVideo } = require('./generate-video');
+const { mapPool } = require('./lib/frame-renderer');
+const { transcribeCached, defaultCacheDir } = require('./lib/transcript-cache');
+const batch = require('./lib/batch');
+
+// ---------------------------------------------------------------------------
+// Argument parsing
+// ---------------------------------------------------------------------------
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    manifest: null,
+    jobs:     1,
+    report:   null,
+    force:    false,
+    cacheDir: defaultCacheDir(),
+    python:   process.env.PYTHON || 'python3',
+    verbose:  false,
+  };
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--jobs':      opts.jobs     = parseInt(args[++i], 10); break;
+      case '--report':    opts.report   = args[++i]; break;
+      case '--force':     opts.force    = true; break;
+      case '--cache-dir': opts.cacheDir = args[++i]; break;
+      case '--no-cache':  opts.cacheDir = null; break;
+      case '--python':    opts.python   = args[++i]; break;
+      case '--verbose':   opts.verbose  = true; break;
+      default:
+        if (!opts.manifest && !args[i].startsWith('--')) opts.manifest = args[i];
+        else fail(`unexpected argument ${args[i]}`);
+    }
+  }
+  if (!opts.manifest) fail('a manifest is required: batch-render.js <manifest.jsonl> [options]');
+  if (!fs.existsSync(opts.manifest)) fail(`manifest not found: ${opts.manifest}`);
+  if (!(opts.jobs >= 1)) fail('--jobs must be a positive integer');
+  opts.report = opts.report || opts.manifest.replace(/(\.jsonl?)?$/i, '.report.json');
+  return opts;
+}
+
+function fail(message) {
+  console.error(`ERROR: ${message}`);
+  process.exit(1);
+}
+
+const seconds = ms => Math.round(ms / 100) / 10;
+const mb = bytes => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+// ---------------------------------------------------------------------------
+// One job
+// ---------------------------------------------------------------------------
+async function renderJob(job, opts, threads) {
+  const spec = job.spec;
+  const prefix = `[${job.id}]`;
+  const logger = opts.verbose
+    ? { log: m => console.log(`${prefix} ${m}`), warn: m => console.warn(`${prefix} ${m}`) }
+    : { log() {}, warn: m => console.warn(`${prefix} ${m}`) };
+
+  let words = spec.words;
+  if (!words) {
+    words = spec.output.replace(/\.[^./\\]+$/, '') + '.words.json';
+    const t = await transcribeCached({
+      audio:    spec.audio || spec.video,
+      output:   words,
+      model:    spec.model || 'small',
+      language: spec.lang || 'auto',
+      python:   opts.python,
+      cacheDir: opts.cacheDir,
+      onLine:   opts.verbose ? line => logger.log(line) : null,
+    });
+    console.log(`${prefix} transcript ${t.cached ? 'from cache' : 'done'} (${t.language || 'unknown language'})`);
+  }
+
+  return generateVideo({
+    words,
+    audio:   spec.audio,
+    video:   spec.video,
+    output:  spec.output,
+    formats: spec.formats,
+    style:   spec.style,
+    preset:  spec.preset,
+    mode:    spec.mode,
+    lang:    spec.lang && spec.lang !== 'auto' ? spec.lang : null,
+    subs:    spec.subs,
+    embedSubs:   Boolean(spec.embedSubs),
+    corrections: spec.corrections,
+    speakers:    spec.speakers,
+    secondaryWords: spec.secondaryWords,
+    secondaryLang:  spec.secondaryLang,
+    start:       spec.start,
+    end:         spec.end,
+    trimSilence: Boolean(spec.trimSilence),
+    normalize:   spec.normalize,
+    fadeIn:      spec.fadeIn,
+    fadeOut:     spec.fadeOut,
+    concurrency: threads,
+    logger,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+async function main() {
+  const opts = parseArgs();
+  const jobs = batch.loadManifest(opts.manifest);
+  const previous = new Map(((batch.loadReport(opts.report) || {}).jobs || []).map(j => [j.id, j]));
+  // Frame rendering threads are shared out between the jobs running at once
+  const threads = Math.max(1, Math.floor(os.cpus().length / Math.min(opts.jobs, jobs.length || 1)));
+
+  const started = Date.now();
+  const report = {
+    manifest:    path.resolve(opts.manifest),
+    started_at:  new Date(started).toISOString(),
+    finished_at: null,
+    elapsed_sec: null,
+    counts:      { done: 0, skipped: 0, failed: 0 },
+    jobs:        jobs.map(j => ({ id: j.id, line: j.line, status: 'pending' })),
+  };
+  console.log(`Batch: ${jobs.length} job(s) from ${opts.manifest}, ${opts.jobs} at a time`);
+
+  await mapPool(jobs, opts.jobs, async (job, i) => {
+    const entry = report.jobs[i];
+    const record = status => {
+      entry.status = status;
+      report.counts[status]++;
+      // Saved after every job, so an interrupted batch still has a report
+      batch.saveReport(report, opts.report);
+    };
+
+    const missing = job.spec ? batch.missingInputs(job.spec) : [];
+    if (missing.length) job.error = `not found: ${missing.join(', ')}`;
+    if (job.error) {
+      entry.error = job.error;
+      console.log(`✗ ${job.id} (line ${job.line}): ${job.error}`);
+      return record('failed');
+    }
+    entry.signature = batch.jobSignature(job.spec);
+    const last = previous.get(job.id);
+    if (!opts.force && batch.upToDate(last, entry.signature)) {
+      Object.assign(entry, {
+        output: last.output, outputs: last.outputs, size: last.size, duration_sec: last.duration_sec,
+        elapsed_sec: 0, error: null, rendered_at: last.rendered_at,
+      });
+      console.log(`= ${job.id}: up to date`);
+      return record('skipped');
+    }
+
+    const t0 = Date.now();
+    console.log(`▶ ${job.id}: rendering ${path.relative(process.cwd(), job.spec.output)}`);
+    try {
+      const result = await renderJob(job, opts, threads);
+      Object.assign(entry, {
+        output:  result.output,
+        outputs: result.outputs.map(o => ({ name: o.name, output: o.output, size: o.size })),
+        size:    result.outputs.reduce((sum, o) => sum + o.size, 0),
+        duration_sec: Math.round(result.duration * 100) / 100,
+        elapsed_sec:  seconds(Date.now() - t0),
+        error:   null,
+        rendered_at: new Date().toISOString(),
+      });
+      console.log(`✓ ${job.id}: ${result.outputs.length > 1 ? `${result.outputs.length} files, ` : ''}` +
+        `${mb(entry.size)} in ${entry.elapsed_sec}s`);
+      record('done');
+    } catch (err) {
+      Object.assign(entry, {
+        elapsed_sec: seconds(Date.now() - t0),
+        error: err.message || String(err),
+        code:  err.code || null,
+      });
+      console.log(`✗ ${job.id}: ${entry.error}`);
+      record('failed');
+    }
+  });
+
+  report.finished_at = new Date().toISOString();
+  report.elapsed_sec = seconds(Date.now() - started);
+  batch.saveReport(report, opts.report);
+
+  const c = report.counts;
+  console.log(`\nDone in ${report.elapsed_sec}s: ${c.done} rendered, ${c.skipped} up to date, ${c.failed} failed`);
+  console.log(`Report: ${opts.report}`);
+  if (c.failed > 0) process.exit(2);
+}
+
+main().catch(err => {
+  console.error('FATAL:', err.message || err);
+  process.exit(1);
+});
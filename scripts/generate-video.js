@@ -10,6 +10,56 @@
  *     --output output.mp4 \
  *     --style references/video-style.json \
  *     --mode chunk
+ *
+ * Presets (references/presets/*.json) — a --style file is layered on top:
+ *   --preset hormozi     start from a named preset
+ *   --list-presets       print the available presets and exit
+ *
+ * --mode defaults to the style's animation.mode, else "chunk".
+ *
+ * Transcript fixes (replacements, timing nudges, filler removal, offset) are
+ * applied to the words before chunking:
+ *   --corrections corrections.json
+ *
+ * Speakers (per-word `speaker` field, or time ranges from a sidecar file);
+ * chunks never mix speakers and style.speakers sets each one's look:
+ *   --speakers speakers.json
+ *
+ * A second, stacked subtitle track (e.g. a translation), styled by
+ * style.secondary and never karaoke-highlighted:
+ *   --secondary-words translation.srt   words.json or SRT
+ *   --secondary-lang  ar                 its language (RTL handling)
+ *
+ * Several aspect ratios from one run — one MP4 per format, named
+ * output-<format>.mp4, each with its own size and platform safe zone
+ * (see lib/variants.js; style.video.variants adds per-variant overrides):
+ *   --formats 9x16,1x1,16x9
+ *
+ * Burning subtitles onto an existing video (audio is taken from the video):
+ *   node scripts/generate-video.js --words words.json --video input.mp4 --output output.mp4
+ *
+ * Clip range and audio preprocessing (lib/audio-prep.js) — the audio is
+ * trimmed/processed once and every subtitle timestamp is moved to match:
+ *   --start 125.4 --end 183   only that excerpt (seconds or [h:]m:s)
+ *   --trim-silence            drop silence at the clip's edges
+ *   --normalize               loudness-normalize to -14 LUFS (--target-lufs -16 to change)
+ *   --fade-in 0.5 --fade-out 1
+ *
+ * Subtitle files:
+ *   --subs srt,vtt,ass   also write caption files next to --output
+ *   --subs-only          write caption files only (no sharp/ffmpeg needed)
+ *   --embed-subs         mux the captions into the MP4 as a soft track
+ *
+ * Programmatic use:
+ *   const { generateVideo } = require('./scripts/generate-video');
+ *   await generateVideo({
+ *     words: wordsData,            // path, words array or { language, words }
+ *     audio: 'audio/input.mp3',
+ *     style: { text: { ... } },    // path or style object
+ *     mode:  'karaoke',
+ *     output: 'output.mp4',
+ *     onProgress: ev => console.log(ev.stage, ev),
+ *   });
  */
 
 'use strict';
@@ -18,94 +68,207 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { spawn } = require('child_process');
+const subtitles = require('./lib/subtitles');
+const background = require('./lib/background');
+const { createMeasurer, approxMeasurer, layoutChunk } = require('./lib/layout');
+const { expandTransitions, animationAttrs } = require('./lib/animation');
+const karaoke = require('./lib/karaoke');
+const { resolveStyle, listPresets } = require('./lib/style');
+const { applyTextRules } = require('./lib/text-rules');
+const { loadCorrections, applyCorrections } = require('./lib/corrections');
+const { loadSpeakerRanges, assignSpeakers, speakerStyle } = require('./lib/speakers');
+const secondary = require('./lib/secondary');
+const { resolveVariants, variantOutput } = require('./lib/variants');
+const { isRTL, breakTokens } = require('./lib/bidi');
+const { buildChunks } = require('./lib/chunking');
+const audioPrep = require('./lib/audio-prep');
+const { createFrameRenderer, mapPool, hashSvg } = require('./lib/frame-renderer');
+const errors = require('./lib/errors');
+const { UsageError, InputError, StyleError, DependencyError, RenderError, FFmpegError } = errors;
+
+const DEFAULT_STYLE = path.join(__dirname, '..', 'references', 'video-style.json');
+const MODES = ['chunk', 'word', 'karaoke'];
+const silentLogger = { log() {}, warn() {} };
 
 // ---------------------------------------------------------------------------
 // Argument parsing
 // ---------------------------------------------------------------------------
-function parseArgs() {
-  const args = process.argv.slice(2);
+function parseArgs(argv) {
+  const args = argv.slice(2);
   const opts = {
     words: null,
+    corrections: null,
+    speakers: null,
+    secondaryWords: null,
+    secondaryLang: null,
     audio: null,
+    video: null,
     output: 'output.mp4',
-    style: path.join(__dirname, '..', 'references', 'video-style.json'),
-    mode: 'chunk',
+    formats: [],
+    style: null,
+    preset: null,
+    listPresets: false,
+    mode: null,
     lang: null,
+    subs: [],
+    subsOnly: false,
+    embedSubs: false,
+    concurrency: null,
+    cacheDir: null,
+    pipe: false,
+    start: null,
+    end: null,
+    trimSilence: false,
+    normalize: null,
+    fadeIn: 0,
+    fadeOut: 0,
   };
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
       case '--words':  opts.words  = args[++i]; break;
+      case '--corrections': opts.corrections = args[++i]; break;
+      case '--speakers':    opts.speakers    = args[++i]; break;
+      case '--secondary-words': opts.secondaryWords = args[++i]; break;
+      case '--secondary-lang':  opts.secondaryLang  = args[++i]; break;
       case '--audio':  opts.audio  = args[++i]; break;
+      case '--video':  opts.video  = args[++i]; break;
       case '--output': opts.output = args[++i]; break;
+      case '--formats': opts.formats = args[++i].split(',').map(s => s.trim()).filter(Boolean); break;
       case '--style':  opts.style  = args[++i]; break;
+      case '--preset': opts.preset = args[++i]; break;
+      case '--list-presets': opts.listPresets = true; break;
       case '--mode':   opts.mode   = args[++i]; break;
       case '--lang':   opts.lang   = args[++i]; break;
+      case '--subs':   opts.subs   = args[++i].split(',').map(s => s.trim().toLowerCase()).filter(Boolean); break;
+      case '--subs-only':  opts.subsOnly  = true; break;
+      case '--embed-subs': opts.embedSubs = true; break;
+      case '--concurrency': opts.concurrency = parseInt(args[++i], 10); break;
+      case '--cache-dir':   opts.cacheDir    = args[++i]; break;
+      case '--pipe':        opts.pipe        = true; break;
+      case '--start':       opts.start       = args[++i]; break;
+      case '--end':         opts.end         = args[++i]; break;
+      case '--trim-silence': opts.trimSilence = true; break;
+      case '--normalize':   opts.normalize   = opts.normalize == null ? true : opts.normalize; break;
+      case '--target-lufs': opts.normalize   = parseFloat(args[++i]); break;
+      case '--fade-in':     opts.fadeIn      = parseFloat(args[++i]); break;
+      case '--fade-out':    opts.fadeOut     = parseFloat(args[++i]); break;
     }
   }
-  if (!opts.words)  { console.error('ERROR: --words is required'); process.exit(1); }
-  if (!opts.audio)  { console.error('ERROR: --audio is required'); process.exit(1); }
   return opts;
 }
 
 // ---------------------------------------------------------------------------
-// Load words.json — supports both legacy array format and new object format
+// Option validation — shared by the CLI and the API
 // ---------------------------------------------------------------------------
-function loadWords(wordsPath) {
-  const raw = JSON.parse(fs.readFileSync(wordsPath, 'utf8'));
-  if (Array.isArray(raw)) {
-    return { language: 'en', language_probability: 1, words: raw };
+function normalizeOptions(options) {
+  const opts = Object.assign({
+    corrections: null,
+    speakers: null,
+    secondaryWords: null,
+    secondaryLang: null,
+    audio: null,
+    video: null,
+    output: 'output.mp4',
+    formats: [],
+    style: null,
+    preset: null,
+    styleDir: null,
+    mode: null,
+    lang: null,
+    subs: [],
+    subsOnly: false,
+    embedSubs: false,
+    concurrency: null,
+    cacheDir: null,
+    pipe: false,
+    start: null,
+    end: null,
+    trimSilence: false,
+    normalize: null,
+    fadeIn: 0,
+    fadeOut: 0,
+    onProgress: null,
+    logger: null,
+  }, options);
+
+  if (!opts.words) throw new UsageError('--words is required');
+  // Lists may also come as comma-separated strings ("srt,vtt"), as on the CLI
+  const list = v => (Array.isArray(v) ? v : String(v || '').split(',')).map(s => String(s).trim()).filter(Boolean);
+  opts.subs    = list(opts.subs).map(s => s.toLowerCase());
+  opts.formats = list(opts.formats);
+  // A source video doubles as the audio input unless --audio is also given
+  if (opts.video && !opts.audio) opts.audio = opts.video;
+  if (!opts.audio && !opts.subsOnly) throw new UsageError('--audio is required');
+  if (opts.mode != null && !MODES.includes(opts.mode)) {
+    throw new UsageError(`unknown mode "${opts.mode}" (expected: ${MODES.join(', ')})`);
   }
-  return raw;
-}
+  for (const fmt of opts.subs) {
+    if (!subtitles.FORMATS.includes(fmt)) {
+      throw new UsageError(`unknown --subs format "${fmt}" (expected: ${subtitles.FORMATS.join(', ')})`);
+    }
+  }
+  if (opts.subsOnly && opts.subs.length === 0) {
+    throw new UsageError('--subs-only needs at least one --subs format');
+  }
+  // The bundled style is only the default when no preset is chosen either
+  if (opts.style == null && !opts.preset) opts.style = DEFAULT_STYLE;
+  if (opts.concurrency == null) opts.concurrency = os.cpus().length;
+  if (!(opts.concurrency >= 1)) throw new UsageError('--concurrency must be a positive integer');
 
-// ---------------------------------------------------------------------------
-// RTL language detection
-// ---------------------------------------------------------------------------
-const RTL_LANGS = new Set(['ar', 'he', 'fa', 'ur', 'yi', 'dv']);
-function isRTL(lang) { return lang && RTL_LANGS.has(lang.toLowerCase().split('-')[0]); }
+  // Clip range and audio preprocessing
+  for (const key of ['start', 'end']) {
+    if (opts[key] == null) continue;
+    const t = audioPrep.parseTime(opts[key]);
+    if (!(t >= 0)) throw new UsageError(`--${key} must be a time in seconds or [h:]m:s, got "${opts[key]}"`);
+    opts[key] = t;
+  }
+  if (opts.start != null && opts.end != null && !(opts.end > opts.start)) {
+    throw new UsageError('--end must be after --start');
+  }
+  if (opts.normalize === true) opts.normalize = audioPrep.DEFAULT_LUFS;
+  if (opts.normalize === false) opts.normalize = null;
+  if (opts.normalize != null && !(opts.normalize >= -70 && opts.normalize <= -5)) {
+    throw new UsageError('--target-lufs must be between -70 and -5');
+  }
+  for (const [key, flag] of [['fadeIn', '--fade-in'], ['fadeOut', '--fade-out']]) {
+    if (opts[key] == null) opts[key] = 0;
+    if (!(opts[key] >= 0)) throw new UsageError(`${flag} must be a number of seconds`);
+  }
+  return opts;
+}
 
 // ---------------------------------------------------------------------------
-// Chunk grouping
+// Load words.json — supports both legacy array format and new object format.
+// Accepts a file path or the already-parsed data. `corrections` (path or
+// object, see lib/corrections.js) is applied to the words before they are
+// chunked; `pauseThreshold` (the style's) limits how far a removed filler's
+// time is handed to its neighbours.
 // ---------------------------------------------------------------------------
-function buildChunks(words, style, mode) {
-  const pauseThreshold = (style.animation && style.animation.pauseThreshold) || 0.3;
-  const maxChunkSize   = (style.text && style.text.maxChunkSize) || 4;
-
-  if (mode === 'word') {
-    // one word per chunk
-    return words.map(w => ({
-      words: [w],
-      start: w.start,
-      end:   w.end,
-    }));
-  }
-
-  // chunk and karaoke both group words into multi-word chunks
-  const chunks = [];
-  let current = [];
-
-  for (let i = 0; i < words.length; i++) {
-    const w = words[i];
-    if (current.length === 0) {
-      current.push(w);
-      continue;
-    }
-    const prev = current[current.length - 1];
-    const gap  = w.start - prev.end;
-    const isNaturalPause = gap > pauseThreshold;
-    const isFull         = current.length >= maxChunkSize;
-
-    if (isNaturalPause || isFull) {
-      chunks.push({ words: current, start: current[0].start, end: prev.end });
-      current = [w];
-    } else {
-      current.push(w);
+function loadWords(input, corrections = null, { pauseThreshold } = {}) {
+  let raw = input;
+  if (typeof input === 'string') {
+    if (!fs.existsSync(input)) throw new InputError(`Words file not found: ${input}`);
+    try {
+      raw = JSON.parse(fs.readFileSync(input, 'utf8'));
+    } catch (err) {
+      throw new InputError(`Cannot parse words file ${input}: ${err.message}`);
     }
   }
-  if (current.length > 0) {
-    chunks.push({ words: current, start: current[0].start, end: current[current.length - 1].end });
+  if (Array.isArray(raw)) {
+    raw = { language: 'en', language_probability: 1, words: raw };
   }
-  return chunks;
+  const fixes = loadCorrections(corrections);
+  if (!fixes) return raw;
+  return Object.assign({}, raw, { words: applyCorrections(raw.words || [], fixes, { pauseThreshold }) });
+}
+
+// ---------------------------------------------------------------------------
+// Load the style — a path to a JSON file (missing → defaults) or an object,
+// optionally on top of a named preset. Validated against lib/style-schema.js,
+// so typos and bad values fail here rather than silently falling back.
+// ---------------------------------------------------------------------------
+function loadStyle(input, preset = null) {
+  return resolveStyle({ style: input, preset });
 }
 
 // ---------------------------------------------------------------------------
@@ -120,101 +283,95 @@ function escapeXml(str) {
     .replace(/'/g, '&apos;');
 }
 
-function buildSvg(chunk, style, mode, activeLang) {
+function buildSvg(chunk, style, mode, activeLang, measurer, secondaryMeasurer) {
+  style = speakerStyle(style, chunk.speaker);
   const W  = (style.video && style.video.width)  || 1080;
   const H  = (style.video && style.video.height) || 1920;
-  const bg = (style.background && style.background.color) || '#000000';
+  const bg = background.backgroundSvg(style, W, H);
 
   const fontFamily  = (style.text && style.text.fontFamily)  || 'Arial, sans-serif';
   const fontWeight  = (style.text && style.text.fontWeight)  || 'bold';
-  const fontSize    = (style.text && style.text.fontSize)    || 90;
   const fillColor   = (style.text && style.text.color)       || '#FFFFFF';
   const strokeColor = (style.text && style.text.strokeColor) || '#000000';
   const strokeWidth = (style.text && style.text.strokeWidth) || 12;
-  const lineHeight  = (style.text && style.text.lineHeight)  || 1.3;
-  const maxPerLine  = (style.text && style.text.maxWordsPerLine) || 2;
-  const positionY   = (style.text && style.text.positionY)   || 0.5;
 
   const hlColor     = (style.highlight && style.highlight.color)       || '#FFD700';
   const hlStroke    = (style.highlight && style.highlight.strokeColor)  || '#000000';
 
-  const rtl         = isRTL(activeLang);
-  const direction   = rtl ? 'rtl' : 'ltr';
+  const direction   = isRTL(activeLang) ? 'rtl' : 'ltr';
   const langAttr    = activeLang ? ` lang="${escapeXml(activeLang)}"` : '';
 
-  // Split words into lines
-  const wordObjs = chunk.words;
-  const lines = [];
-  for (let i = 0; i < wordObjs.length; i += maxPerLine) {
-    lines.push(wordObjs.slice(i, i + maxPerLine));
-  }
-
-  const totalLines   = lines.length;
-  const lineHeightPx = fontSize * lineHeight;
-  const blockHeight  = totalLines * lineHeightPx;
-  const startY       = H * positionY - blockHeight / 2 + fontSize / 2;
-
-  const cx = W / 2;
-
-  // Build text elements
-  let textElements = '';
-
-  if (mode === 'karaoke') {
-    // Each word is a separate <text> element (tspan spacing is unreliable in SVG renderers)
-    // We lay words out on lines; highlight the active word
-    const activeStart = chunk.activeStart;
-    const activeEnd   = chunk.activeEnd;
+  // Wrap words into lines by measured width and shrink the font to fit
+  const layout   = layoutChunk(chunk, style, measurer || approxMeasurer(), direction);
+  const fontSize = layout.fontSize;
+  // Stacking the secondary track may move the primary lines, so do it first
+  const secLayout = secondary.layoutSecondary(chunk, style, layout, secondaryMeasurer || approxMeasurer());
+  const cx = layout.centerX;
+  const cy = layout.lines.length > 0
+    ? (layout.lines[0].y + layout.lines[layout.lines.length - 1].y) / 2
+    : H / 2;
 
-    for (let li = 0; li < lines.length; li++) {
-      const lineWords = lines[li];
-      const y = startY + li * lineHeightPx;
-
-      // Estimate x positions for each word on the line
-      // We use a simple approach: center the whole line, approximate word widths
-      const approxCharWidth = fontSize * 0.55;
-      const lineText = lineWords.map(w => w.word).join(' ');
-      const lineWidth = lineText.length * approxCharWidth;
-      let xPos = cx - lineWidth / 2;
-
-      for (let wi = 0; wi < lineWords.length; wi++) {
-        const wo = lineWords[wi];
-        const isActive = (wo.start <= (activeEnd || wo.end)) && (wo.end >= (activeStart || wo.start));
-        const wFill   = isActive ? hlColor   : fillColor;
-        const wStroke = isActive ? hlStroke  : strokeColor;
-        const wText   = escapeXml(wo.word);
-        const wWidth  = wo.word.length * approxCharWidth;
-        const anchor  = rtl ? 'end' : 'start';
-
-        textElements += `
+  // One <text> per word, centred on its measured position — used whenever
+  // words differ in colour or size (karaoke, emphasised words)
+  const wordElement = (line, { wo, x, fontSize: wSize, dir }, wFill, wStroke) => `
   <text
-    x="${xPos + wWidth / 2}"
-    y="${y}"
+    x="${x}"
+    y="${line.y}"
     text-anchor="middle"
     dominant-baseline="middle"
     font-family="${escapeXml(fontFamily)}"
     font-weight="${fontWeight}"
-    font-size="${fontSize}"
+    font-size="${wSize}"
     fill="${wFill}"
     stroke="${wStroke}"
     stroke-width="${strokeWidth}"
     paint-order="stroke fill"
-    direction="${direction}"
-  >${wText}</text>`;
+    direction="${dir}"
+  >${escapeXml(wo.word)}</text>`;
+
+  // Build text elements
+  let textElements = '';
+
+  if (mode === 'karaoke') {
+    // Each word is a separate <text> element (tspan spacing is unreliable in SVG renderers)
+    // centred on its measured position; highlight the active word
+    const activeStart = chunk.activeStart;
+    const activeEnd   = chunk.activeEnd;
 
-        xPos += wWidth + approxCharWidth * 0.5;
+    if (chunk.sweepTime != null) {
+      textElements += buildSweepElements(layout, chunk.sweepTime, {
+        fontFamily, fontWeight, fillColor, strokeColor, strokeWidth,
+        hlColor, hlStroke,
+      });
+    } else {
+      for (const line of layout.lines) {
+        for (const placed of line.words) {
+          const { wo } = placed;
+          const isActive = (wo.start <= (activeEnd || wo.end)) && (wo.end >= (activeStart || wo.start));
+          // The karaoke highlight wins over an emphasis colour while a word is spoken
+          const wFill   = isActive ? hlColor   : emphasisFill(wo, fillColor);
+          const wStroke = isActive ? hlStroke  : emphasisStroke(wo, strokeColor);
+          textElements += wordElement(line, placed, wFill, wStroke);
+        }
       }
     }
   } else {
-    // chunk or word mode: render full text lines
-    for (let li = 0; li < lines.length; li++) {
-      const lineWords = lines[li];
-      const y = startY + li * lineHeightPx;
-      const lineText = escapeXml(lineWords.map(w => w.word).join(' '));
+    // chunk or word mode: render full text lines, or word by word when a
+    // line holds an emphasised word
+    for (const line of layout.lines) {
+      if (line.words.some(({ wo }) => wo.emphasis)) {
+        for (const placed of line.words) {
+          textElements += wordElement(line, placed,
+            emphasisFill(placed.wo, fillColor), emphasisStroke(placed.wo, strokeColor));
+        }
+        continue;
+      }
+      const lineText = escapeXml(line.text);
 
       textElements += `
   <text
     x="${cx}"
-    y="${y}"
+    y="${line.y}"
     text-anchor="middle"
     dominant-baseline="middle"
     font-family="${escapeXml(fontFamily)}"
@@ -229,6 +386,8 @@ function buildSvg(chunk, style, mode, activeLang) {
     }
   }
 
+  if (secLayout) textElements += buildSecondaryElements(secLayout, chunk.secondary, style, cx);
+
   return `<svg width="${W}" height="${H}" xmlns="http://www.w3.org/2000/svg"${langAttr}>
   <defs>
     <style type="text/css">
@@ -237,12 +396,95 @@ function buildSvg(chunk, style, mode, activeLang) {
         shape-rendering: geometricPrecision;
       }
     </style>
+    ${bg.defs}
   </defs>
-  <rect width="${W}" height="${H}" fill="${bg}"/>
-  ${textElements}
+  ${bg.body}
+  <g${animationAttrs(chunk.anim, cx, cy)}>${textElements}
+  </g>
 </svg>`;
 }
 
+// ---------------------------------------------------------------------------
+// Secondary track: whole centred lines with their own font, colours and
+// text direction (from the track's language, not the primary one)
+// ---------------------------------------------------------------------------
+function buildSecondaryElements(secLayout, sec, style, cx) {
+  const s = secondary.secondaryStyle(style);
+  const direction = isRTL(sec.lang) ? 'rtl' : 'ltr';
+  const langAttr  = sec.lang ? ` xml:lang="${escapeXml(sec.lang)}"` : '';
+  return secLayout.lines.map(line => `
+  <text
+    x="${cx}"
+    y="${line.y}"
+    text-anchor="middle"
+    dominant-baseline="middle"
+    font-family="${escapeXml(s.fontFamily)}"
+    font-weight="${s.fontWeight}"
+    font-size="${secLayout.fontSize}"
+    fill="${s.color}"
+    stroke="${s.strokeColor}"
+    stroke-width="${s.strokeWidth}"
+    paint-order="stroke fill"
+    direction="${direction}"${langAttr}
+  >${escapeXml(line.text)}</text>`).join('');
+}
+
+// Colours for a word marked by style.rules.emphasis, else the defaults given
+function emphasisFill(wo, fallback) {
+  return (wo.emphasis && wo.emphasis.color) || fallback;
+}
+
+function emphasisStroke(wo, fallback) {
+  return (wo.emphasis && wo.emphasis.strokeColor) || fallback;
+}
+
+// ---------------------------------------------------------------------------
+// Karaoke sweep: each word is drawn in the base colours, then again in the
+// highlight colours clipped to the spoken fraction of its width (growing from
+// the right for RTL words). Stroke spill is included at both ends of the clip.
+// ---------------------------------------------------------------------------
+function buildSweepElements(layout, t, s) {
+  const textAttrs = (fill, stroke, fontSize, dir) => `
+    text-anchor="middle"
+    dominant-baseline="middle"
+    font-family="${escapeXml(s.fontFamily)}"
+    font-weight="${s.fontWeight}"
+    font-size="${fontSize}"
+    fill="${fill}"
+    stroke="${stroke}"
+    stroke-width="${s.strokeWidth}"
+    paint-order="stroke fill"
+    direction="${dir}"`;
+
+  let out = '';
+  layout.lines.forEach((line, li) => {
+    line.words.forEach(({ wo, x, width, fontSize, dir }, wi) => {
+      const progress = karaoke.wordProgress(wo, t);
+      const wText = escapeXml(wo.word);
+
+      out += `
+  <text x="${x}" y="${line.y}"${textAttrs(emphasisFill(wo, s.fillColor), emphasisStroke(wo, s.strokeColor), fontSize, dir)}
+  >${wText}</text>`;
+      if (progress <= 0) return;
+
+      let clip = '';
+      if (progress < 1) {
+        const id    = `sweep_${li}_${wi}`;
+        const pad   = s.strokeWidth;
+        const clipW = pad + progress * width;
+        const clipX = dir === 'rtl' ? x + width / 2 + pad - clipW : x - width / 2 - pad;
+        out += `
+  <clipPath id="${id}"><rect x="${clipX}" y="${line.y - fontSize}" width="${clipW}" height="${fontSize * 2}"/></clipPath>`;
+        clip = ` clip-path="url(#${id})"`;
+      }
+      out += `
+  <text x="${x}" y="${line.y}"${clip}${textAttrs(s.hlColor, s.hlStroke, fontSize, dir)}
+  >${wText}</text>`;
+    });
+  });
+  return out;
+}
+
 // ---------------------------------------------------------------------------
 // Sharp-based SVG → PNG rendering
 // ---------------------------------------------------------------------------
@@ -251,152 +493,248 @@ async function renderFrame(svgString) {
   try {
     sharp = require('sharp');
   } catch (e) {
-    console.error('ERROR: sharp is not installed. Run: npm install sharp');
-    process.exit(1);
+    throw new DependencyError('sharp is not installed. Run: npm install sharp');
   }
   // Ensure proper text rendering with embedded fonts and Unicode support
-  return sharp(Buffer.from(svgString), {
-    density: 300  // Higher density for better text rendering
-  }).png().toBuffer();
+  try {
+    return await sharp(Buffer.from(svgString), {
+      density: 300  // Higher density for better text rendering
+    }).png().toBuffer();
+  } catch (err) {
+    throw new RenderError(`Failed to render a subtitle frame: ${err.message}`);
+  }
 }
 
 // ---------------------------------------------------------------------------
 // FFmpeg helpers
 // ---------------------------------------------------------------------------
-function runFFmpeg(args) {
+// With `duration` and `onPercent`, ffmpeg reports its position on stdout
+// (-progress pipe:1) and onPercent receives 0–100 as encoding advances.
+// `feed(stdin)` (async) streams input to ffmpeg's stdin when given.
+// Resolves with ffmpeg's log output (stderr), e.g. for detection filters.
+function runFFmpeg(args, { logger = silentLogger, duration = 0, onPercent = null, feed = null } = {}) {
   return new Promise((resolve, reject) => {
-    console.log('ffmpeg ' + args.join(' '));
-    const proc = spawn('ffmpeg', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    if (onPercent && duration > 0) args = ['-progress', 'pipe:1', '-nostats', ...args];
+    logger.log('ffmpeg ' + args.join(' '));
+    const proc = spawn('ffmpeg', args, { stdio: [feed ? 'pipe' : 'ignore', 'pipe', 'pipe'] });
     let stderr = '';
+    let feedError = null;
+    if (feed) {
+      // EPIPE here just means ffmpeg exited early; its exit code tells why
+      proc.stdin.on('error', () => {});
+      feed(proc.stdin).catch(err => {
+        feedError = err;
+        proc.stdin.destroy();
+        proc.kill();
+      });
+    }
     proc.stderr.on('data', d => { stderr += d.toString(); });
-    proc.stdout.on('data', d => { stderr += d.toString(); });
+    proc.stdout.on('data', d => {
+      if (!onPercent || duration <= 0) { stderr += d.toString(); return; }
+      // out_time_ms is in microseconds too (a long-standing ffmpeg quirk)
+      const times = d.toString().match(/out_time_(?:us|ms)=\d+/g);
+      if (times) {
+        const us = Number(times[times.length - 1].split('=')[1]);
+        onPercent(Math.min(100, (us / 1e6 / duration) * 100));
+      }
+    });
     proc.on('close', code => {
-      if (code !== 0) {
-        reject(new Error(`FFmpeg exited with code ${code}:\n${stderr}`));
+      if (feedError) {
+        reject(feedError);
+      } else if (code !== 0) {
+        reject(new FFmpegError(`FFmpeg exited with code ${code}:\n${stderr}`, code, stderr));
       } else {
-        resolve();
+        resolve(stderr);
       }
     });
-    proc.on('error', err => reject(new Error(`Failed to start ffmpeg: ${err.message}`)));
+    proc.on('error', err => reject(new DependencyError(`Failed to start ffmpeg: ${err.message}`)));
   });
 }
 
 // ---------------------------------------------------------------------------
-// Main
+// Programmatic API
 // ---------------------------------------------------------------------------
-async function main() {
-  const opts = parseArgs();
-
-  console.log(`\n=== generate-video.js ===`);
-  console.log(`Words:  ${opts.words}`);
-  console.log(`Audio:  ${opts.audio}`);
-  console.log(`Output: ${opts.output}`);
-  console.log(`Mode:   ${opts.mode}`);
+/**
+ * Render a subtitle video (and/or subtitle files).
+ *
+ * Options mirror the CLI flags: words, corrections, speakers, secondaryWords,
+ * secondaryLang, audio, video, output, formats, style, preset, mode, lang,
+ * subs, subsOnly, embedSubs, start, end, trimSilence, normalize (true or a
+ * target in LUFS), fadeIn, fadeOut. `words` and `style` may be paths or
+ * in-memory objects; `styleDir` resolves relative background paths for an
+ * in-memory style (defaults to the style file's directory, else the cwd).
+ *
+ * `onProgress(event)` receives { stage, ... } events:
+ *   clip    { start, end, words } clip range settled (source time)
+ *   chunks  { chunks }            subtitle chunks built
+ *   measure { measured }          word widths measured
+ *   frames  { rendered, total }   after each rendered frame
+ *   ffmpeg  { percent }           encoding progress, 0–100
+ *   done    { output, size }
+ * With several formats, measure/frames/ffmpeg/done also carry `variant`.
+ *
+ * `logger` ({ log, warn }) receives human-readable output; silent by default.
+ * Resolves to { output, outputs, subtitles, mode, chunks, frames, duration,
+ * size } — `mode` is the one used (from the style when not given), `outputs` lists { name, output, width, height, size } per variant, and
+ * output/size are those of the first — and
+ * rejects with a GenerateVideoError subclass (see lib/errors.js).
+ */
+async function generateVideo(options) {
+  const opts     = normalizeOptions(options);
+  const logger   = opts.logger || silentLogger;
+  const progress = ev => { if (opts.onProgress) opts.onProgress(ev); };
 
   // Load inputs
-  const wordsData = loadWords(opts.words);
-  const words     = wordsData.words || [];
+  const styleRaw = loadStyle(opts.style, opts.preset);
+  const wordsData = loadWords(opts.words, opts.corrections,
+    { pauseThreshold: (styleRaw.animation && styleRaw.animation.pauseThreshold) || 0.3 });
   const detectedLang = opts.lang || wordsData.language || 'en';
 
+  opts.mode = opts.mode || (styleRaw.animation && styleRaw.animation.mode) || 'chunk';
+  logger.log(`Mode:   ${opts.mode}${opts.preset ? ` (preset: ${opts.preset})` : ''}`);
+  const styleDir = opts.styleDir ||
+    (typeof opts.style === 'string' ? path.dirname(path.resolve(opts.style)) : process.cwd());
+
+  // Case, profanity masking, emoji and emphasis (style.rules) rewrite the
+  // words once, so every mode and the subtitle files agree
+  let secondaryTrack = secondary.loadSecondary(opts.secondaryWords);
+  const secondaryLang  = opts.secondaryLang || (secondaryTrack && secondaryTrack.language) || null;
+  let labelled = assignSpeakers(wordsData.words || [], loadSpeakerRanges(opts.speakers));
+
+  // A clip range (--start/--end, --trim-silence) is settled against the
+  // source timeline, then the words and secondary track are re-based onto it
+  const clip = audioPrep.wantsClip(opts) ? await resolveClip(opts, labelled, logger) : null;
+  if (clip) {
+    labelled = audioPrep.clipWords(labelled, clip);
+    secondaryTrack = audioPrep.clipTrack(secondaryTrack, clip);
+    progress({ stage: 'clip', start: clip.start, end: clip.end, words: labelled.length });
+  }
+  const words = applyTextRules(labelled, styleRaw, styleDir);
   if (words.length === 0) {
-    console.warn('WARNING: No words in words.json — generating silent black video.');
+    logger.warn('WARNING: No words in words.json — generating silent black video.');
+  }
+
+  // With --video the source picture becomes the background layer, keeping
+  // its own resolution and frame rate unless the style sets them
+  const style = opts.video
+    ? await applySourceVideo(styleRaw, opts.video, logger, clip ? clip.start : 0)
+    : styleRaw;
+
+  // Fail fast on a missing background file before any frames are rendered
+  if (!opts.subsOnly && background.isLayerBackground(style)) {
+    background.resolveSource(style, styleDir);
   }
 
-  const styleRaw = fs.existsSync(opts.style)
-    ? JSON.parse(fs.readFileSync(opts.style, 'utf8'))
-    : {};
+  // Several formats (--formats / video.variants) share the chunks and frame
+  // timing built below; each is then laid out, rendered and encoded on its own
+  const variants = resolveVariants(style, opts.formats) || [{ name: null, style }];
 
   // Build chunks
-  const chunks = words.length > 0 ? buildChunks(words, styleRaw, opts.mode) : [];
-  console.log(`Built ${chunks.length} subtitle chunks`);
+  const chunks = secondary.alignSecondary(
+    words.length > 0 ? buildChunks(words, style, opts.mode) : [], secondaryTrack, secondaryLang);
+  logger.log(`Built ${chunks.length} subtitle chunks`);
+  progress({ stage: 'chunks', chunks: chunks.length });
+
+  // Write subtitle files from the same chunks used for the video
+  const subsWritten = writeSubtitleFiles(opts, chunks, style, logger);
+  if (opts.subsOnly) {
+    return { output: null, subtitles: subsWritten, mode: opts.mode, chunks: chunks.length, frames: 0, duration: 0, size: 0 };
+  }
 
-  // For karaoke, expand to one frame per word (within chunk)
+  // For karaoke, expand to one frame per word (within chunk). With
+  // style.readability each frame lasts until the next word starts, and the
+  // last one until the (possibly stretched) chunk end, so the text stays up
+  // through short gaps; otherwise a frame spans its word. Sweep keeps one
+  // frame per chunk here and is split at fps after the transitions below
+  const sweep = opts.mode === 'karaoke' && karaoke.karaokeStyle(style) === 'sweep';
+  const hold  = Boolean(style.readability);
   let frames = [];
-  if (opts.mode === 'karaoke' && chunks.length > 0) {
+  if (sweep) {
+    frames = chunks.map(chunk => ({ ...chunk, chunkStart: chunk.start, chunkEnd: chunk.end }));
+  } else if (opts.mode === 'karaoke' && chunks.length > 0) {
     for (const chunk of chunks) {
-      for (const wo of chunk.words) {
+      chunk.words.forEach((wo, i) => {
+        const next = chunk.words[i + 1];
         frames.push({
           ...chunk,
+          chunkStart:  chunk.start,
+          chunkEnd:    chunk.end,
           activeStart: wo.start,
           activeEnd:   wo.end,
-          start: wo.start,
-          end:   wo.end,
+          start: hold && i === 0 ? chunk.start : wo.start,
+          end:   !hold ? wo.end : next ? next.start : chunk.end,
         });
-      }
+      });
     }
   } else {
     frames = chunks;
   }
 
+  // Entrance/exit transitions become short runs of per-frame stills at video.fps
+  const fps = (style.video && style.video.fps) || 30;
+  frames = expandTransitions(frames, style, fps);
+  if (sweep) frames = karaoke.expandSweep(frames, fps);
+
   // Create temp directory
   const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'subtitles-'));
-  console.log(`Temp dir: ${tmpDir}`);
+  logger.log(`Temp dir: ${tmpDir}`);
 
   try {
-    // Get audio duration via ffprobe; fall back to last word's end time
-    let audioDuration = await getAudioDuration(opts.audio);
-    if (audioDuration === 0 && words.length > 0) {
-      audioDuration = words[words.length - 1].end;
+    // A clip's audio is rendered once up front; its length is exactly the
+    // clip's, so every variant muxes the same file
+    let audioPath = opts.audio;
+    let audioDuration;
+    if (clip) {
+      audioPath = path.join(tmpDir, 'audio.wav');
+      await runFFmpeg(audioPrep.prepareArgs(opts.audio, audioPath, clip), { logger });
+      audioDuration = clip.end - clip.start;
+    } else {
+      // Get audio duration via ffprobe; fall back to last word's end time
+      audioDuration = await getAudioDuration(opts.audio);
+      if (audioDuration === 0 && words.length > 0) {
+        audioDuration = words[words.length - 1].end;
+      }
     }
-    console.log(`Audio duration: ${audioDuration.toFixed(2)}s`);
-
-    // Generate PNG frames
-    const frameFiles = [];
-    for (let i = 0; i < frames.length; i++) {
-      const frame  = frames[i];
-      const svg    = buildSvg(frame, styleRaw, opts.mode, detectedLang);
-      const pngBuf = await renderFrame(svg);
-      const pngPath = path.join(tmpDir, `frame_${String(i).padStart(4, '0')}.png`);
-      fs.writeFileSync(pngPath, pngBuf);
-      frameFiles.push({ path: pngPath, start: frame.start, end: frame.end });
-      process.stdout.write(`\rRendering frames: ${i + 1}/${frames.length}`);
+    logger.log(`Audio duration: ${audioDuration.toFixed(2)}s`);
+
+    // One renderer for every variant: identical SVGs are rasterised once
+    const renderer = createFrameRenderer({
+      rasterize:   renderFrame,
+      dir:         tmpDir,
+      cacheDir:    opts.cacheDir,
+      concurrency: opts.concurrency,
+    });
+
+    // Soft subtitle track: MP4 only carries mov_text, which ffmpeg converts from SRT
+    let srtPath = null;
+    if (opts.embedSubs) {
+      srtPath = subsWritten.srt;
+      if (!srtPath) {
+        srtPath = path.join(tmpDir, 'subtitles.srt');
+        fs.writeFileSync(srtPath, subtitles.buildSubtitles('srt', chunks, style, opts.mode), 'utf8');
+      }
     }
-    console.log('');
 
-    // Also generate a blank (black) frame for gaps and start/end
-    const W  = (styleRaw.video && styleRaw.video.width)  || 1080;
-    const H  = (styleRaw.video && styleRaw.video.height) || 1920;
-    const bg = (styleRaw.background && styleRaw.background.color) || '#000000';
-    const blankSvg = `<svg width="${W}" height="${H}" xmlns="http://www.w3.org/2000/svg"><rect width="${W}" height="${H}" fill="${bg}"/></svg>`;
-    const blankPng = await renderFrame(blankSvg);
-    const blankPath = path.join(tmpDir, 'frame_blank.png');
-    fs.writeFileSync(blankPath, blankPng);
+    const ctx = {
+      opts, logger, words, chunks, frames, fps, detectedLang, secondaryTrack,
+      styleDir, tmpDir, audioPath, audioDuration, renderer, srtPath,
+      measurers: new Map(),
+    };
+    const outputs = [];
+    for (const variant of variants) {
+      outputs.push(await renderVariant(variant, ctx));
+    }
 
-    // Build concat file with proper timing including gaps
-    const concatPath = path.join(tmpDir, 'input.txt');
-    const lines = buildConcatFile(frameFiles, blankPath, audioDuration);
-    fs.writeFileSync(concatPath, lines);
-    console.log(`Wrote concat file: ${concatPath}`);
-
-    // Ensure output directory exists
-    const outputDir = path.dirname(path.resolve(opts.output));
-    if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
-
-    // Run FFmpeg
-    const fps = (styleRaw.video && styleRaw.video.fps)    || 30;
-    const codec   = (styleRaw.video && styleRaw.video.codec)  || 'libx264';
-    const preset  = (styleRaw.video && styleRaw.video.preset) || 'fast';
-    const crf     = (styleRaw.video && styleRaw.video.crf)    || 23;
-
-    await runFFmpeg([
-      '-y',
-      '-f', 'concat',
-      '-safe', '0',
-      '-i', concatPath,
-      '-i', opts.audio,
-      '-c:v', codec,
-      '-preset', preset,
-      '-crf', String(crf),
-      '-r', String(fps),
-      '-pix_fmt', 'yuv420p',
-      '-c:a', 'aac',
-      '-shortest',
-      opts.output,
-    ]);
-
-    console.log(`\n✅ Video written to: ${opts.output}`);
-    const stat = fs.statSync(opts.output);
-    console.log(`   File size: ${(stat.size / 1024 / 1024).toFixed(2)} MB`);
+    return {
+      output:    outputs[0].output,
+      outputs,
+      subtitles: subsWritten,
+      mode:      opts.mode,
+      chunks:    chunks.length,
+      frames:    frames.length,
+      duration:  audioDuration,
+      size:      outputs[0].size,
+    };
 
   } finally {
     // Clean up temp files
@@ -409,44 +747,397 @@ async function main() {
 }
 
 // ---------------------------------------------------------------------------
-// Build the FFmpeg concat demuxer file, inserting blank frames for gaps
+// Settle the clip for the --start/--end/--trim-silence/--normalize/--fade-*
+// options: { start, end } in source time plus the audio filter settings.
+// Silence detection needs the audio even with --subs-only, since it moves
+// the timestamps; loudness and fades don't, so they are ignored there
 // ---------------------------------------------------------------------------
-function buildConcatFile(frameFiles, blankPath, audioDuration) {
-  const lines = [];
+async function resolveClip(opts, words, logger = silentLogger) {
+  const duration = opts.audio ? await getAudioDuration(opts.audio) : 0;
+  let range = audioPrep.clipRange(opts, duration, words);
+  if (opts.trimSilence) {
+    if (!opts.audio) throw new UsageError('--trim-silence needs the audio (--audio or --video)');
+    const stderr = await runFFmpeg(audioPrep.silenceArgs(opts.audio, range), { logger });
+    const trimmed = audioPrep.trimSilences(range, audioPrep.parseSilences(stderr, range), words);
+    if (trimmed.start !== range.start || trimmed.end !== range.end) {
+      logger.log(`Trimmed silence: ${(trimmed.start - range.start).toFixed(2)}s at the start, ` +
+        `${(range.end - trimmed.end).toFixed(2)}s at the end`);
+    }
+    range = trimmed;
+  }
+  const clip = Object.assign(range, { normalize: opts.normalize },
+    audioPrep.clipFades(range.end - range.start, opts.fadeIn, opts.fadeOut));
+  logger.log(`Clip:   ${clip.start.toFixed(2)}s – ${clip.end.toFixed(2)}s (${(clip.end - clip.start).toFixed(2)}s)`);
+  return clip;
+}
+
+// ---------------------------------------------------------------------------
+// Measurers are shared between variants that use the same font; each string
+// is measured once per font
+// ---------------------------------------------------------------------------
+async function getMeasurer(measurers, fontFamily, fontWeight, strings) {
+  const key = `${fontFamily}|${fontWeight}`;
+  if (!measurers.has(key)) measurers.set(key, createMeasurer({ text: { fontFamily, fontWeight } }));
+  const measurer = measurers.get(key);
+  await measurer.preload(strings);
+  return measurer;
+}
+
+// Renderer counters for one variant (the renderer is shared by all of them)
+function statsSince(renderer, before) {
+  const now = renderer.stats();
+  return {
+    rendered:  now.rendered  - before.rendered,
+    requested: now.requested - before.requested,
+    cached:    now.cached    - before.cached,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Lay out, render and encode one output (a --formats / video.variants entry,
+// or the single output of a plain run) from the shared frames
+// ---------------------------------------------------------------------------
+async function renderVariant(variant, ctx) {
+  const { opts, logger, frames, fps, renderer, tmpDir, audioPath, audioDuration } = ctx;
+  const style  = variant.style;
+  const tag    = variant.name ? { variant: variant.name } : {};
+  const progress = ev => { if (opts.onProgress) opts.onProgress(Object.assign(ev, tag)); };
+  const output = variant.name ? variantOutput(opts.output, variant.name) : opts.output;
+
+  const W  = (style.video && style.video.width)  || 1080;
+  const H  = (style.video && style.video.height) || 1920;
+  const before = renderer.stats();
+  if (variant.name) logger.log(`\n--- ${variant.name} (${W}x${H}) → ${output}`);
+
+  // Measure every word once with the real font so layout matches the render
+  const text = style.text || {};
+  const measurer = await getMeasurer(ctx.measurers,
+    text.fontFamily || 'Arial, sans-serif', text.fontWeight || 'bold', ctx.words.map(w => w.word));
+  let secondaryMeasurer = null;
+  if (ctx.secondaryTrack) {
+    const sec = secondary.secondaryStyle(style);
+    secondaryMeasurer = await getMeasurer(ctx.measurers, sec.fontFamily, sec.fontWeight,
+      ctx.chunks.flatMap(c => (c.secondary ? breakTokens(c.secondary.text) : [])));
+  }
+  const measured = [...ctx.measurers.values()].reduce((sum, m) => sum + m.measured(), 0);
+  logger.log(`Measured ${measured} distinct strings`);
+  progress({ stage: 'measure', measured });
+
+  // Build every SVG up front (cheap strings). The renderer keys them by
+  // content hash, so identical frames are rasterised only once.
+  const bg = background.backgroundSvg(style, W, H);
+  const blankSvg = `<svg width="${W}" height="${H}" xmlns="http://www.w3.org/2000/svg"><defs>${bg.defs}</defs>${bg.body}</svg>`;
+  const svgs = frames.map(frame => buildSvg(frame, style, opts.mode, ctx.detectedLang, measurer, secondaryMeasurer));
+
+  // Frames become { path, start, end } timeline entries; in pipe mode
+  // `path` is just the index of the SVG and nothing is written to disk
+  let frameFiles, blankPath, videoInput;
+  if (opts.pipe) {
+    frameFiles = frames.map((frame, i) => ({ path: i, start: frame.start, end: frame.end }));
+    blankPath  = svgs.length;
+    const timeline = buildTimeline(frameFiles, blankPath, audioDuration, 1 / fps);
+    const ticks    = sampleTimeline(timeline, audioDuration, fps);
+    videoInput = {
+      args: ['-f', 'image2pipe', '-framerate', String(fps), '-c:v', 'png', '-i', 'pipe:0'],
+      feed: stdin => streamFrames(stdin, ticks, svgs.concat([blankSvg]), renderer, opts.concurrency,
+        rendered => progress({ stage: 'frames', rendered, total: ticks.length })),
+    };
+  } else {
+    let rendered = 0;
+    const paths = await mapPool(svgs, opts.concurrency, async svg => {
+      const pngPath = await renderer.toFile(svg);
+      progress({ stage: 'frames', rendered: ++rendered, total: svgs.length });
+      return pngPath;
+    });
+    frameFiles = frames.map((frame, i) => ({ path: paths[i], start: frame.start, end: frame.end }));
+    // Also generate a blank (background-only) frame for gaps and start/end
+    blankPath  = await renderer.toFile(blankSvg);
+
+    // Build concat file with proper timing including gaps
+    const concatPath = path.join(tmpDir, variant.name ? `input-${variant.name}.txt` : 'input.txt');
+    const lines = buildConcatFile(frameFiles, blankPath, audioDuration, 1 / fps);
+    fs.writeFileSync(concatPath, lines);
+    logger.log(`Wrote concat file: ${concatPath}`);
+    const stats = statsSince(renderer, before);
+    logger.log(`Rendered ${stats.rendered} unique frames for ${stats.requested} requested (${stats.cached} reused)`);
+    videoInput = { args: ['-f', 'concat', '-safe', '0', '-i', concatPath], feed: null };
+  }
+
+  // Ensure output directory exists
+  const outputDir = path.dirname(path.resolve(output));
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+
+  // Run FFmpeg
+  const codec   = (style.video && style.video.codec)  || 'libx264';
+  const preset  = (style.video && style.video.preset) || 'fast';
+  const crf     = (style.video && style.video.crf)    || 23;
+
+  // Inputs: 0 = subtitle frames, 1 = audio, then optional background / subs
+  const inputArgs = [...videoInput.args, '-i', audioPath];
+  const mapArgs   = [];
+  let nextInput   = 2;
+
+  // Image/video background: overlay the transparent subtitle frames on it
+  if (background.isLayerBackground(style)) {
+    inputArgs.push(...background.backgroundInputArgs(style, ctx.styleDir, fps));
+    // Frames are rasterised at density 300, so bring them back to W×H first
+    const filter = background.backgroundFilter(style, nextInput++, W, H, fps, audioDuration) +
+      `;[0:v]scale=${W}:${H},format=rgba[fg];[bg][fg]overlay=0:0:format=auto[v]`;
+    mapArgs.push('-filter_complex', filter, '-map', '[v]');
+  } else {
+    mapArgs.push('-map', '0:v');
+  }
+  mapArgs.push('-map', '1:a');
+
+  if (ctx.srtPath) {
+    inputArgs.push('-i', ctx.srtPath);
+    mapArgs.push('-map', `${nextInput++}:s`, '-c:s', 'mov_text');
+  }
+
+  await runFFmpeg([
+    '-y',
+    ...inputArgs,
+    ...mapArgs,
+    '-c:v', codec,
+    '-preset', preset,
+    '-crf', String(crf),
+    '-r', String(fps),
+    '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac',
+    '-shortest',
+    output,
+  ], {
+    logger,
+    feed:      videoInput.feed,
+    duration:  audioDuration,
+    onPercent: percent => progress({ stage: 'ffmpeg', percent }),
+  });
+
+  if (opts.pipe) {
+    const stats = statsSince(renderer, before);
+    logger.log(`Rendered ${stats.rendered} unique frames (${stats.cached} from cache)`);
+  }
+
+  const stat = fs.statSync(output);
+  progress({ stage: 'done', output, size: stat.size });
+  return { name: variant.name, output, width: W, height: H, size: stat.size };
+}
+
+// ---------------------------------------------------------------------------
+// Write the requested subtitle formats next to the output video.
+// Returns a map of format → written path.
+// ---------------------------------------------------------------------------
+function writeSubtitleFiles(opts, chunks, style, logger = silentLogger) {
+  const written = {};
+  if (opts.subs.length === 0) return written;
+
+  const outputDir = path.dirname(path.resolve(opts.output));
+  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
+
+  const base = opts.output.replace(/\.[^./\\]+$/, '');
+  for (const fmt of opts.subs) {
+    const subPath = `${base}.${fmt}`;
+    fs.writeFileSync(subPath, subtitles.buildSubtitles(fmt, chunks, style, opts.mode), 'utf8');
+    logger.log(`Wrote ${fmt.toUpperCase()} subtitles: ${subPath}`);
+    written[fmt] = subPath;
+  }
+  return written;
+}
+
+// ---------------------------------------------------------------------------
+// Lay frames out end to end as [{ path, duration }], inserting the blank frame
+// for gaps and after the last frame up to the end of the audio
+// ---------------------------------------------------------------------------
+function buildTimeline(frameFiles, blankPath, audioDuration, minDuration = 0.033) {
+  const timeline = [];
   let cursor = 0;
 
   for (const f of frameFiles) {
     const gapBefore = f.start - cursor;
     if (gapBefore > 0.01) {
-      lines.push(`file '${blankPath}'`);
-      lines.push(`duration ${gapBefore.toFixed(4)}`);
+      timeline.push({ path: blankPath, duration: gapBefore });
     }
-    const duration = Math.max(f.end - f.start, 0.033); // at least 1 frame
-    lines.push(`file '${f.path}'`);
-    lines.push(`duration ${duration.toFixed(4)}`);
+    const duration = Math.max(f.end - f.start, minDuration); // at least 1 frame
+    timeline.push({ path: f.path, duration });
     cursor = f.end;
   }
 
   // Fill to end of audio
   if (cursor < audioDuration - 0.01) {
-    lines.push(`file '${blankPath}'`);
-    lines.push(`duration ${(audioDuration - cursor).toFixed(4)}`);
+    timeline.push({ path: blankPath, duration: audioDuration - cursor });
+  }
+  if (timeline.length === 0) {
+    timeline.push({ path: blankPath, duration: audioDuration });
+  }
+  return timeline;
+}
+
+// ---------------------------------------------------------------------------
+// Build the FFmpeg concat demuxer file, inserting blank frames for gaps
+// ---------------------------------------------------------------------------
+function buildConcatFile(frameFiles, blankPath, audioDuration, minDuration = 0.033) {
+  const lines = [];
+  for (const entry of buildTimeline(frameFiles, blankPath, audioDuration, minDuration)) {
+    lines.push(`file '${entry.path}'`);
+    lines.push(`duration ${entry.duration.toFixed(4)}`);
   }
 
   // concat demuxer requires a trailing entry (duplicate last file, no duration)
-  // Find the last 'file ...' line (every even-indexed entry is a file line)
-  const lastFileLine = lines.filter(l => l.startsWith('file ')).pop();
-  if (lastFileLine) {
-    lines.push(lastFileLine);
-  } else {
-    lines.push(`file '${blankPath}'`);
-    lines.push(`duration ${audioDuration.toFixed(4)}`);
-    lines.push(`file '${blankPath}'`);
-  }
+  lines.push(lines[lines.length - 2]);
 
   return lines.join('\n') + '\n';
 }
 
+// ---------------------------------------------------------------------------
+// Pipe mode: which timeline entry is on screen at each output frame. Frames
+// are sampled at their midpoint so boundaries never fall between two entries.
+// This is not ffmpeg's own -r conversion of the concat list, so an entry
+// boundary can land a frame away from the default render (see README).
+// ---------------------------------------------------------------------------
+function sampleTimeline(timeline, audioDuration, fps) {
+  const count = Math.max(1, Math.round(audioDuration * fps));
+  const ticks = new Array(count);
+  let idx = 0;
+  let entryEnd = timeline[0].duration;
+  for (let k = 0; k < count; k++) {
+    const t = (k + 0.5) / fps;
+    while (t >= entryEnd && idx < timeline.length - 1) {
+      idx++;
+      entryEnd += timeline[idx].duration;
+    }
+    ticks[k] = timeline[idx].path;
+  }
+  return ticks;
+}
+
+// ---------------------------------------------------------------------------
+// Pipe mode: write one PNG per output frame to ffmpeg's stdin. Upcoming
+// frames are rendered ahead (bounded), and each buffer is dropped after its
+// last use so memory stays proportional to the look-ahead, not the video.
+// ---------------------------------------------------------------------------
+// Resolves true once `stdin` drains, false if it closes or errors first
+// (ffmpeg exited, so 'drain' would never come)
+function drained(stdin) {
+  return new Promise(resolve => {
+    const done = ok => () => {
+      stdin.off('drain', onDrain);
+      stdin.off('close', onClose);
+      stdin.off('error', onClose);
+      resolve(ok);
+    };
+    const onDrain = done(true);
+    const onClose = done(false);
+    stdin.on('drain', onDrain);
+    stdin.on('close', onClose);
+    stdin.on('error', onClose);
+  });
+}
+
+async function streamFrames(stdin, ticks, svgs, renderer, concurrency, onFrame) {
+  // Key by content hash so identical SVGs at different indices share a buffer
+  const svgByHash = new Map();
+  const keys = ticks.map(idx => {
+    const hash = hashSvg(svgs[idx]);
+    svgByHash.set(hash, svgs[idx]);
+    return hash;
+  });
+  const remaining = new Map();
+  for (const key of keys) remaining.set(key, (remaining.get(key) || 0) + 1);
+
+  const buffers  = new Map();
+  const lookahead = Math.max(2, concurrency * 2);
+  const ensure = key => {
+    if (buffers.has(key)) return;
+    const buf = renderer.toBuffer(svgByHash.get(key));
+    // Frames fetched ahead may fail while an earlier one is still awaited
+    // (or after a write error ends the loop); the failure is raised when
+    // the frame's turn comes, not as an unhandled rejection
+    buf.catch(() => {});
+    buffers.set(key, buf);
+  };
+
+  let prefetch = 0;
+  for (let k = 0; k < keys.length; k++) {
+    // ffmpeg went away: stop rendering; runFFmpeg reports its exit code
+    if (stdin.destroyed) break;
+    if (prefetch < k) prefetch = k;
+    while (prefetch < keys.length && buffers.size < lookahead) ensure(keys[prefetch++]);
+
+    const key = keys[k];
+    ensure(key);
+    const buf = await buffers.get(key);
+    if (stdin.destroyed) break;
+    if (!stdin.write(buf) && !(await drained(stdin))) break;
+    onFrame(k + 1);
+
+    const left = remaining.get(key) - 1;
+    remaining.set(key, left);
+    if (left === 0) buffers.delete(key);
+  }
+  buffers.clear();
+  if (!stdin.destroyed) stdin.end();
+}
+
+// ---------------------------------------------------------------------------
+// Get width/height/fps of the first video stream via ffprobe (null on error)
+// ---------------------------------------------------------------------------
+function getVideoInfo(videoPath) {
+  return new Promise(resolve => {
+    const proc = spawn('ffprobe', [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-show_entries', 'stream=width,height,r_frame_rate',
+      '-of', 'json',
+      videoPath,
+    ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    let out = '';
+    proc.stdout.on('data', d => { out += d.toString(); });
+    proc.on('close', code => {
+      try {
+        const stream = code === 0 && JSON.parse(out).streams[0];
+        if (!stream) { resolve(null); return; }
+        const [num, den] = String(stream.r_frame_rate || '0/1').split('/').map(Number);
+        resolve({
+          width:  stream.width,
+          height: stream.height,
+          fps:    den ? Math.round((num / den) * 1000) / 1000 : 0,
+        });
+      } catch (e) {
+        resolve(null);
+      }
+    });
+    proc.on('error', () => resolve(null));
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Turn --video into a non-looping video background starting at `start`
+// (the clip start, so picture and audio stay together); the style's width,
+// height and fps win over the source's when present
+// ---------------------------------------------------------------------------
+async function applySourceVideo(style, videoPath, logger = silentLogger, start = 0) {
+  if (!fs.existsSync(videoPath)) {
+    throw new InputError(`Video file not found: ${videoPath}`);
+  }
+  const info  = await getVideoInfo(videoPath);
+  if (!info) logger.warn('WARNING: Could not probe --video; falling back to style dimensions.');
+  const video = Object.assign({}, info && {
+    width:  info.width,
+    height: info.height,
+    fps:    info.fps || undefined,
+  }, style.video);
+
+  return Object.assign({}, style, {
+    video,
+    background: Object.assign({}, style.background, {
+      type: 'video',
+      src:  path.resolve(videoPath),
+      loop: false,
+    }, start > 0 ? { start } : {}),
+  });
+}
+
 // ---------------------------------------------------------------------------
 // Get audio duration via ffprobe
 // ---------------------------------------------------------------------------
@@ -474,7 +1165,73 @@ function getAudioDuration(audioPath) {
   });
 }
 
-main().catch(err => {
-  console.error('FATAL:', err.message || err);
-  process.exit(1);
-});
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+async function cli() {
+  const args = parseArgs(process.argv);
+  if (args.listPresets) {
+    for (const name of listPresets()) {
+      const { description } = resolveStyle({ preset: name });
+      console.log(description ? `${name.padEnd(22)} ${description}` : name);
+    }
+    return;
+  }
+  const opts = normalizeOptions(args);
+
+  console.log(`\n=== generate-video.js ===`);
+  console.log(`Words:  ${opts.words}`);
+  if (opts.video) console.log(`Video:  ${opts.video}`);
+  console.log(`Audio:  ${opts.audio}`);
+  console.log(`Output: ${opts.output}`);
+
+  let lastPercent = -1;
+  const result = await generateVideo(Object.assign({}, opts, {
+    logger: console,
+    onProgress: ev => {
+      if (ev.stage === 'frames') {
+        process.stdout.write(`\rRendering frames: ${ev.rendered}/${ev.total}`);
+        if (ev.rendered === ev.total) process.stdout.write('\n');
+      } else if (ev.stage === 'ffmpeg' && Math.floor(ev.percent / 10) > lastPercent) {
+        lastPercent = Math.floor(ev.percent / 10);
+        console.log(`Encoding: ${Math.floor(ev.percent)}%`);
+      } else if (ev.stage === 'done') {
+        lastPercent = -1;
+      }
+    },
+  }));
+
+  if (result.outputs && result.outputs.length > 1) {
+    console.log(`\n✅ ${result.outputs.length} videos written:`);
+    for (const out of result.outputs) {
+      console.log(`   ${out.name.padEnd(8)} ${out.width}x${out.height}  ${out.output}  ` +
+        `(${(out.size / 1024 / 1024).toFixed(2)} MB)`);
+    }
+  } else if (result.output) {
+    console.log(`\n✅ Video written to: ${result.output}`);
+    console.log(`   File size: ${(result.size / 1024 / 1024).toFixed(2)} MB`);
+  }
+}
+
+module.exports = {
+  generateVideo,
+  loadWords,
+  loadStyle,
+  buildChunks,
+  buildSvg,
+  renderFrame,
+  isRTL,
+  MODES,
+  ...errors,
+};
+
+if (require.main === module) {
+  cli().catch(err => {
+    if (err instanceof UsageError || err instanceof StyleError) {
+      console.error(`ERROR: ${err.message}`);
+    } else {
+      console.error('FATAL:', err.message || err);
+    }
+    process.exit(1);
+  });
+}
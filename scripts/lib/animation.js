@@ -0,0 +1,184 @@
+/**
+ * animation.js
+ * Entrance/exit transitions for subtitle chunks (style.animation.in / .out).
+ *
+ * A transition is rendered as real intermediate frames at video.fps, but only
+ * for its own duration — the rest of the chunk stays a single long still in
+ * the concat list, so render time grows with the number of chunks, not with
+ * the length of the audio.
+ *
+ *   "animation": {
+ *     "in":  { "type": "pop", "duration": 0.15, "easing": "back-out" },
+ *     "out": "fade"
+ *   }
+ */
+
+'use strict';
+
+const { StyleError } = require('./errors');
+
+// ---------------------------------------------------------------------------
+// Easing functions: progress 0..1 → eased 0..1 (back-out overshoots)
+// ---------------------------------------------------------------------------
+const EASINGS = {
+  'linear':      t => t,
+  'ease-in':     t => t * t * t,
+  'ease-out':    t => 1 - Math.pow(1 - t, 3),
+  'ease-in-out': t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  'back-out':    t => {
+    const c1 = 1.70158, c3 = c1 + 1;
+    return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+  },
+  'bounce-out':  t => {
+    const n1 = 7.5625, d1 = 2.75;
+    if (t < 1 / d1)   return n1 * t * t;
+    if (t < 2 / d1)   return n1 * (t -= 1.5 / d1) * t + 0.75;
+    if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
+    return n1 * (t -= 2.625 / d1) * t + 0.984375;
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Effects: eased progress e → { opacity, scale, dx, dy } relative to the
+// resting state. `enter` runs 0 → 1 into view, `exit` runs 0 → 1 out of it.
+// ---------------------------------------------------------------------------
+const EFFECTS = {
+  'none': {
+    easing: ['linear', 'linear'],
+    enter:  () => ({}),
+    exit:   () => ({}),
+  },
+  'fade': {
+    easing: ['ease-in-out', 'ease-in-out'],
+    enter:  e => ({ opacity: e }),
+    exit:   e => ({ opacity: 1 - e }),
+  },
+  'pop': {
+    easing: ['back-out', 'ease-in'],
+    enter:  e => ({ scale: 0.5 + 0.5 * e, opacity: Math.min(1, e * 2) }),
+    exit:   e => ({ scale: 1 - 0.5 * e, opacity: 1 - e }),
+  },
+  'slide-up': {
+    easing: ['ease-out', 'ease-in'],
+    enter:  (e, d) => ({ dy: (1 - e) * d, opacity: e }),
+    exit:   (e, d) => ({ dy: -e * d, opacity: 1 - e }),
+  },
+  'bounce': {
+    easing: ['bounce-out', 'ease-in'],
+    enter:  (e, d) => ({ dy: -(1 - e) * d }),
+    exit:   (e, d) => ({ dy: e * d, opacity: 1 - e }),
+  },
+};
+
+const DEFAULT_DURATION = 0.15;
+const DEFAULT_DISTANCE = 120;
+
+// Normalise "pop" / { type: "pop", ... } into a full transition spec, or null
+function parseTransition(spec, phase) {
+  if (!spec) return null;
+  if (typeof spec === 'string') spec = { type: spec };
+  const type = spec.type || 'none';
+  const effect = EFFECTS[type];
+  if (!effect) {
+    throw new StyleError(`Unknown animation.${phase} type "${type}" (expected one of: ${Object.keys(EFFECTS).join(', ')})`);
+  }
+  if (type === 'none') return null;
+
+  const easingName = spec.easing || effect.easing[phase === 'in' ? 0 : 1];
+  const easing = EASINGS[easingName];
+  if (!easing) {
+    throw new StyleError(`Unknown animation.${phase} easing "${easingName}" (expected one of: ${Object.keys(EASINGS).join(', ')})`);
+  }
+  return {
+    type,
+    phase,
+    duration: spec.duration != null ? spec.duration : DEFAULT_DURATION,
+    distance: spec.distance != null ? spec.distance : DEFAULT_DISTANCE,
+    easing,
+    apply: phase === 'in' ? effect.enter : effect.exit,
+  };
+}
+
+function transitionState(tr, progress) {
+  return Object.assign({ opacity: 1, scale: 1, dx: 0, dy: 0 }, tr.apply(tr.easing(progress), tr.distance));
+}
+
+// ---------------------------------------------------------------------------
+// Frame expansion
+// ---------------------------------------------------------------------------
+
+/**
+ * Split each display frame into [in-transition frames][still][out-transition
+ * frames]. Entrances only play where a frame starts its chunk and exits only
+ * where it ends it (frame.chunkStart / chunkEnd, defaulting to the frame's own
+ * bounds), so karaoke's per-word frames animate once per chunk.
+ */
+function expandTransitions(frames, style, fps) {
+  const anim = style.animation || {};
+  const trIn  = parseTransition(anim.in, 'in');
+  const trOut = parseTransition(anim.out, 'out');
+  if (!trIn && !trOut) return frames;
+
+  const out = [];
+  for (const frame of frames) {
+    const chunkStart = frame.chunkStart != null ? frame.chunkStart : frame.start;
+    const chunkEnd   = frame.chunkEnd   != null ? frame.chunkEnd   : frame.end;
+    const span = frame.end - frame.start;
+
+    let dIn  = trIn  && frame.start === chunkStart ? trIn.duration  : 0;
+    let dOut = trOut && frame.end   === chunkEnd   ? trOut.duration : 0;
+    // Short chunks share their time between the two transitions
+    if (dIn + dOut > span) {
+      const k = span / (dIn + dOut);
+      dIn *= k;
+      dOut *= k;
+    }
+
+    if (dIn > 0) pushTransition(out, frame, trIn, frame.start, dIn, fps);
+    if (span - dIn - dOut > 0.0005) {
+      out.push(Object.assign({}, frame, { start: frame.start + dIn, end: frame.end - dOut }));
+    }
+    if (dOut > 0) pushTransition(out, frame, trOut, frame.end - dOut, dOut, fps);
+  }
+  return out;
+}
+
+// Entrance frames sample progress 0..(n-1)/n so the first frame is the
+// hidden state; exit frames sample 1/n..1 so the last one is fully gone
+function pushTransition(out, frame, tr, start, duration, fps) {
+  const n    = Math.max(1, Math.round(duration * fps));
+  const step = duration / n;
+  for (let k = 0; k < n; k++) {
+    const progress = tr.phase === 'in' ? k / n : (k + 1) / n;
+    out.push(Object.assign({}, frame, {
+      start: start + k * step,
+      end:   start + (k + 1) * step,
+      anim:  transitionState(tr, progress),
+    }));
+  }
+}
+
+// ---------------------------------------------------------------------------
+// SVG group attributes for a frame's animation state, scaling about (cx, cy)
+// ---------------------------------------------------------------------------
+function animationAttrs(anim, cx, cy) {
+  if (!anim) return '';
+  const round = v => Math.round(v * 1000) / 1000;
+  let attrs = '';
+  if (anim.scale !== 1 || anim.dx !== 0 || anim.dy !== 0) {
+    attrs += ` transform="translate(${round(cx + anim.dx)} ${round(cy + anim.dy)}) ` +
+             `scale(${round(anim.scale)}) translate(${round(-cx)} ${round(-cy)})"`;
+  }
+  if (anim.opacity < 1) {
+    attrs += ` opacity="${round(Math.max(0, anim.opacity))}"`;
+  }
+  return attrs;
+}
+
+module.exports = {
+  EASINGS,
+  EFFECTS,
+  parseTransition,
+  expandTransitions,
+  animationAttrs,
+};
@@ -0,0 +1,193 @@
+/**
+ * audio-prep.js
+ * Clip ranges and audio preprocessing for generate-video.js:
+ *
+ *   --start 125.4 --end 183   render only that part of the recording
+ *   --trim-silence            drop silence at the clip's edges
+ *   --normalize               loudness-normalize (EBU R128, -14 LUFS by default)
+ *   --fade-in 0.5 --fade-out 1
+ *
+ * When any of these is set the audio is rendered once into a WAV
+ * (atrim → loudnorm → afade) and that file is what gets muxed. Words and
+ * secondary-track units are moved onto the clip's timeline — the clip start
+ * becomes 0 — so subtitles stay in sync with the processed audio. Silence
+ * trimming never cuts into a word, and loudness and fades don't change the
+ * length, so the clip's [start, end] is the only mapping needed.
+ *
+ * Times are seconds (125.4) or [h:]m:s (2:05.4).
+ */
+
+'use strict';
+
+const { UsageError } = require('./errors');
+
+const DEFAULT_LUFS   = -14;
+const SILENCE_NOISE  = '-50dB';
+const SILENCE_MIN    = 0.3;   // shortest pause that counts as silence (s)
+const SILENCE_PAD    = 0.2;   // kept around speech when trimming (s)
+
+// Round to 1 ms, like corrections.js does with word timings
+const ms = t => Math.round(t * 1000) / 1000;
+
+// "125.4", "2:05.4" or "1:02:05" → seconds (NaN if unreadable)
+function parseTime(value) {
+  if (typeof value === 'number') return value;
+  const str = String(value).trim();
+  if (!/^\d+(\.\d+)?$|^(\d+:){1,2}\d{1,2}(\.\d+)?$/.test(str)) return NaN;
+  return str.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+// Whether any clip/preprocessing option is set
+function wantsClip(opts) {
+  return opts.start != null || opts.end != null || Boolean(opts.trimSilence) ||
+    opts.normalize != null || opts.fadeIn > 0 || opts.fadeOut > 0;
+}
+
+// ---------------------------------------------------------------------------
+// Clip range
+// ---------------------------------------------------------------------------
+/**
+ * The requested range within a recording of `duration` seconds (0 when it
+ * could not be probed: the last word's end is used instead).
+ */
+function clipRange({ start, end }, duration, words) {
+  const total = duration > 0 ? duration : (words.length > 0 ? words[words.length - 1].end : 0);
+  const from = start || 0;
+  if (total > 0 && from >= total) {
+    throw new UsageError(`--start ${from}s is past the end of the audio (${total.toFixed(2)}s)`);
+  }
+  const to = end == null ? total : (total > 0 ? Math.min(end, total) : end);
+  if (!(to > from)) throw new UsageError('the clip is empty: --end must be after --start');
+  return { start: from, end: to };
+}
+
+// Words whose midpoint falls inside the range — the same rule clipWords() uses
+function wordsIn(words, range) {
+  return words.filter(w => {
+    const mid = (w.start + w.end) / 2;
+    return mid >= range.start && mid < range.end;
+  });
+}
+
+/**
+ * Shrink `range` past the silences touching its edges ([{ start, end }] in
+ * source time, from parseSilences()), keeping `pad` seconds of the pause and
+ * never cutting into the first or last word.
+ */
+function trimSilences(range, silences, words, pad = SILENCE_PAD) {
+  const inside = wordsIn(words, range);
+  const first = inside.length > 0 ? inside[0].start : range.end;
+  const last  = inside.length > 0 ? inside[inside.length - 1].end : range.start;
+  let { start, end } = range;
+
+  const lead = silences.find(s => s.start <= range.start + 0.01 && s.end > range.start);
+  if (lead) start = Math.min(Math.max(range.start, lead.end - pad), first);
+  const tail = silences.find(s => s.end >= range.end - 0.01 && s.start < range.end);
+  if (tail) end = Math.max(Math.min(range.end, tail.start + pad), last);
+
+  // All silence (no words): keep the range rather than render nothing
+  if (!(end > start)) return range;
+  return { start: ms(start), end: ms(end) };
+}
+
+// Fade lengths for a clip of `duration`, scaled down together when they
+// don't both fit (as with chunk transitions)
+function clipFades(duration, fadeIn = 0, fadeOut = 0) {
+  const total = fadeIn + fadeOut;
+  const scale = total > duration ? duration / total : 1;
+  return { fadeIn: ms(fadeIn * scale), fadeOut: ms(fadeOut * scale) };
+}
+
+// ---------------------------------------------------------------------------
+// Timestamps
+// ---------------------------------------------------------------------------
+const shift = (item, clip) => Object.assign({}, item, {
+  start: ms(Math.min(Math.max(item.start - clip.start, 0), clip.end - clip.start)),
+  end:   ms(Math.min(Math.max(item.end - clip.start, 0), clip.end - clip.start)),
+});
+
+/**
+ * Words inside the clip, re-based to its start. A word belongs to the clip
+ * when its midpoint does; one cut by an edge is clamped to it.
+ */
+function clipWords(words, clip) {
+  return wordsIn(words, clip).map(w => shift(w, clip));
+}
+
+/**
+ * A secondary track ({ language, units }, see secondary.js) moved onto the
+ * clip. Segments (SRT cues, whole lines) are kept when they overlap it at
+ * all; word units follow the clipWords() rule.
+ */
+function clipTrack(track, clip) {
+  if (!track) return track;
+  const units = track.units
+    .filter(u => (u.segment ? u.end > clip.start && u.start < clip.end : wordsIn([u], clip).length > 0))
+    .map(u => shift(u, clip));
+  return Object.assign({}, track, { units });
+}
+
+// ---------------------------------------------------------------------------
+// ffmpeg arguments
+// ---------------------------------------------------------------------------
+const trimFilter = range =>
+  `atrim=start=${range.start.toFixed(3)}:end=${range.end.toFixed(3)},asetpts=PTS-STARTPTS`;
+
+// Arguments for a silencedetect pass over `range`; its report is on stderr
+function silenceArgs(audio, range) {
+  return [
+    '-hide_banner', '-nostats',
+    '-i', audio,
+    '-vn',
+    '-af', `${trimFilter(range)},silencedetect=noise=${SILENCE_NOISE}:d=${SILENCE_MIN}`,
+    '-f', 'null', '-',
+  ];
+}
+
+/**
+ * Silences from silencedetect's output, in source time. Times are relative
+ * to the trimmed stream, so `range.start` is added back; a silence still
+ * running at the end closes at `range.end`.
+ */
+function parseSilences(stderr, range) {
+  const silences = [];
+  const re = /silence_(start|end): (-?[\d.]+)/g;
+  let m;
+  while ((m = re.exec(stderr))) {
+    const t = Math.max(0, Number(m[2])) + range.start;
+    if (m[1] === 'start') silences.push({ start: t, end: range.end });
+    else if (silences.length > 0) silences[silences.length - 1].end = t;
+  }
+  return silences;
+}
+
+// The filter chain turning the source audio into the clip
+function audioFilter(clip) {
+  const duration = clip.end - clip.start;
+  const filters = [trimFilter(clip)];
+  if (clip.normalize != null) filters.push(`loudnorm=I=${clip.normalize}:TP=-1.5:LRA=11`);
+  if (clip.fadeIn > 0)  filters.push(`afade=t=in:st=0:d=${clip.fadeIn}`);
+  if (clip.fadeOut > 0) filters.push(`afade=t=out:st=${ms(duration - clip.fadeOut)}:d=${clip.fadeOut}`);
+  return filters.join(',');
+}
+
+// Arguments rendering the clip's audio to `output` (WAV). loudnorm resamples
+// internally, so the rate is set back explicitly
+function prepareArgs(audio, output, clip) {
+  return ['-y', '-i', audio, '-vn', '-af', audioFilter(clip), '-ar', '48000', '-c:a', 'pcm_s16le', output];
+}
+
+module.exports = {
+  DEFAULT_LUFS,
+  parseTime,
+  wantsClip,
+  clipRange,
+  trimSilences,
+  clipFades,
+  clipWords,
+  clipTrack,
+  silenceArgs,
+  parseSilences,
+  audioFilter,
+  prepareArgs,
+};
@@ -0,0 +1,161 @@
+/**
+ * background.js
+ * Background layer for subtitle frames, driven by style.background.type:
+ *
+ *   solid     — flat <rect> of background.color (default)
+ *   gradient  — SVG linear/radial gradient from background.gradient
+ *   image     — still image, scaled to cover/contain the frame
+ *   video     — clip looped (or held on its last frame) to the audio length,
+ *               optionally starting background.start seconds in
+ *
+ * solid and gradient are drawn straight into each frame's SVG. image and
+ * video are fed to ffmpeg as an extra input; the subtitle frames are then
+ * rendered with a transparent background and overlaid on top.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { StyleError, InputError } = require('./errors');
+
+const TYPES = ['solid', 'gradient', 'image', 'video'];
+
+function backgroundType(style) {
+  const type = (style.background && style.background.type) || 'solid';
+  if (!TYPES.includes(type)) {
+    throw new StyleError(`Unknown background.type "${type}" (expected one of: ${TYPES.join(', ')})`);
+  }
+  return type;
+}
+
+// True when the background is an ffmpeg input rather than part of the SVG
+function isLayerBackground(style) {
+  const type = backgroundType(style);
+  return type === 'image' || type === 'video';
+}
+
+// ---------------------------------------------------------------------------
+// SVG backgrounds (solid / gradient)
+// ---------------------------------------------------------------------------
+
+// Accepts ["#f00", "#00f"] (evenly spaced) or [{ offset: 0.2, color: "#f00" }]
+function normalizeStops(stops) {
+  if (!Array.isArray(stops) || stops.length < 2) {
+    throw new StyleError('background.gradient.stops needs at least two colors');
+  }
+  return stops.map((s, i) => {
+    if (typeof s === 'string') return { offset: i / (stops.length - 1), color: s, opacity: 1 };
+    return {
+      offset:  s.offset != null ? s.offset : i / (stops.length - 1),
+      color:   s.color,
+      opacity: s.opacity != null ? s.opacity : 1,
+    };
+  });
+}
+
+function gradientDefs(gradient, W, H) {
+  const stops = normalizeStops(gradient.stops)
+    .map(s => `<stop offset="${s.offset}" stop-color="${s.color}" stop-opacity="${s.opacity}"/>`)
+    .join('');
+  const kind = gradient.type || 'linear';
+
+  if (kind === 'radial') {
+    // cx/cy are fractions of the frame; r is a fraction of the half-diagonal,
+    // so the default 1 reaches exactly into the corners
+    const cx = W * (gradient.cx != null ? gradient.cx : 0.5);
+    const cy = H * (gradient.cy != null ? gradient.cy : 0.5);
+    const r  = Math.hypot(W, H) / 2 * (gradient.r != null ? gradient.r : 1);
+    return `<radialGradient id="bg" gradientUnits="userSpaceOnUse" cx="${cx}" cy="${cy}" r="${r}">${stops}</radialGradient>`;
+  }
+  if (kind !== 'linear') {
+    throw new StyleError(`Unknown background.gradient.type "${kind}" (expected linear or radial)`);
+  }
+
+  // CSS angle semantics: 0deg points up, 180deg (default) runs top → bottom,
+  // and the gradient line is long enough for the corners to hit the end stops
+  const angle = ((gradient.angle != null ? gradient.angle : 180) * Math.PI) / 180;
+  const dx = Math.sin(angle), dy = -Math.cos(angle);
+  const len = Math.abs(W * dx) + Math.abs(H * dy);
+  const x1 = W / 2 - dx * len / 2, y1 = H / 2 - dy * len / 2;
+  const x2 = W / 2 + dx * len / 2, y2 = H / 2 + dy * len / 2;
+  return `<linearGradient id="bg" gradientUnits="userSpaceOnUse" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}">${stops}</linearGradient>`;
+}
+
+// Returns { defs, body } to splice into a frame's <defs> and drawing area.
+// Both are empty for image/video backgrounds so the frame stays transparent.
+function backgroundSvg(style, W, H) {
+  const type = backgroundType(style);
+  const bg   = (style.background && style.background.color) || '#000000';
+
+  if (type === 'solid') {
+    return { defs: '', body: `<rect width="${W}" height="${H}" fill="${bg}"/>` };
+  }
+  if (type === 'gradient') {
+    const gradient = style.background.gradient || {};
+    return {
+      defs: gradientDefs(gradient, W, H),
+      body: `<rect width="${W}" height="${H}" fill="url(#bg)"/>`,
+    };
+  }
+  return { defs: '', body: '' };
+}
+
+// ---------------------------------------------------------------------------
+// FFmpeg backgrounds (image / video)
+// ---------------------------------------------------------------------------
+
+// background.src is resolved relative to the style file, like a CSS url()
+function resolveSource(style, styleDir) {
+  const src = style.background && style.background.src;
+  if (!src) throw new StyleError(`background.type "${style.background.type}" requires background.src`);
+  const resolved = path.isAbsolute(src) ? src : path.resolve(styleDir || '.', src);
+  if (!fs.existsSync(resolved)) throw new InputError(`Background file not found: ${resolved}`);
+  return resolved;
+}
+
+// ffmpeg input args for the background layer
+function backgroundInputArgs(style, styleDir, fps) {
+  const type = backgroundType(style);
+  const src  = resolveSource(style, styleDir);
+  if (type === 'image') {
+    return ['-loop', '1', '-framerate', String(fps), '-i', src];
+  }
+  const loop = style.background.loop !== false;
+  // start: seconds into the clip to begin from (input seeking is frame-accurate)
+  const seek = style.background.start > 0 ? ['-ss', String(style.background.start)] : [];
+  return loop ? ['-stream_loop', '-1', ...seek, '-i', src] : [...seek, '-i', src];
+}
+
+// Filter chain turning input `inputIdx` into a W×H, fps-locked [bg] stream
+function backgroundFilter(style, inputIdx, W, H, fps, duration) {
+  const fit = (style.background && style.background.fit) || 'cover';
+  const bg  = (style.background && style.background.color) || '#000000';
+
+  let chain;
+  if (fit === 'contain') {
+    chain = `scale=${W}:${H}:force_original_aspect_ratio=decrease,` +
+            `pad=${W}:${H}:(ow-iw)/2:(oh-ih)/2:color=${bg}`;
+  } else if (fit === 'cover') {
+    chain = `scale=${W}:${H}:force_original_aspect_ratio=increase,crop=${W}:${H}`;
+  } else {
+    throw new StyleError(`Unknown background.fit "${fit}" (expected cover or contain)`);
+  }
+
+  // A non-looping clip shorter than the audio holds its last frame
+  const hold = backgroundType(style) === 'video' && style.background.loop === false
+    ? `,tpad=stop_mode=clone:stop_duration=${duration.toFixed(3)}`
+    : '';
+
+  return `[${inputIdx}:v]${chain},setsar=1,fps=${fps}${hold},trim=duration=${duration.toFixed(3)}[bg]`;
+}
+
+module.exports = {
+  TYPES,
+  backgroundType,
+  isLayerBackground,
+  backgroundSvg,
+  backgroundInputArgs,
+  backgroundFilter,
+  resolveSource,
+};
@@ -0,0 +1,140 @@
+/**
+ * batch.js
+ * JSONL manifests for batch-render.js: one render job per line, e.g.
+ *
+ *   {"id": "ep12-intro", "audio": "clips/intro.mp3", "words": "clips/intro.json",
+ *    "preset": "neon", "mode": "karaoke", "output": "out/intro.mp4"}
+ *
+ * Relative paths are resolved against the manifest's directory. A job is up
+ * to date when the previous report has it done with the same signature — a
+ * hash of the job's options and the size and mtime of each input file — and
+ * its outputs are still on disk with the recorded sizes.
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+// Manifest keys holding input files (checked for changes) and output paths
+const INPUT_KEYS  = ['audio', 'video', 'words', 'style', 'corrections', 'speakers', 'secondaryWords'];
+const PATH_KEYS   = [...INPUT_KEYS, 'output'];
+const KNOWN_KEYS  = [...PATH_KEYS, 'id', 'preset', 'mode', 'lang', 'formats', 'subs',
+  'embedSubs', 'secondaryLang', 'model', 'start', 'end', 'trimSilence', 'normalize', 'fadeIn', 'fadeOut'];
+
+// Bumped when a change to the renderer should invalidate every earlier output
+const SIGNATURE_VERSION = 'batch-v1';
+
+/**
+ * Parse a manifest into [{ line, id, spec, error }]. Blank lines are
+ * skipped; a line that isn't a valid job keeps its `error` so it shows up as
+ * failed in the report without stopping the others.
+ */
+function loadManifest(file) {
+  const baseDir = path.dirname(path.resolve(file));
+  const jobs = [];
+  const ids = new Set();
+  fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((text, i) => {
+    if (!text.trim()) return;
+    const line = i + 1;
+    let spec;
+    try {
+      spec = JSON.parse(text);
+    } catch (e) {
+      jobs.push({ line, id: `line-${line}`, spec: null, error: `invalid JSON: ${e.message}` });
+      return;
+    }
+    const job = { line, id: null, spec: null, error: checkSpec(spec) };
+    job.id = spec && typeof spec.id === 'string' && spec.id ? spec.id
+      : spec && typeof spec.output === 'string' ? spec.output : `line-${line}`;
+    if (!job.error && ids.has(job.id)) job.error = `duplicate job id "${job.id}"`;
+    ids.add(job.id);
+    if (!job.error) job.spec = resolvePaths(spec, baseDir);
+    jobs.push(job);
+  });
+  return jobs;
+}
+
+// An error message for a malformed job, or null
+function checkSpec(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return 'each line must be a JSON object';
+  const unknown = Object.keys(spec).filter(k => !KNOWN_KEYS.includes(k));
+  if (unknown.length) return `unknown key${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`;
+  if (typeof spec.output !== 'string' || !spec.output) return '"output" is required';
+  if (!spec.audio && !spec.video) return '"audio" or "video" is required';
+  for (const key of PATH_KEYS) {
+    if (spec[key] != null && typeof spec[key] !== 'string') return `"${key}" must be a path`;
+  }
+  return null;
+}
+
+function resolvePaths(spec, baseDir) {
+  const out = Object.assign({}, spec);
+  for (const key of PATH_KEYS) {
+    if (out[key]) out[key] = path.resolve(baseDir, out[key]);
+  }
+  const list = v => (Array.isArray(v) ? v : String(v || '').split(',')).map(s => String(s).trim()).filter(Boolean);
+  out.formats = list(out.formats);
+  out.subs = list(out.subs).map(s => s.toLowerCase());
+  return out;
+}
+
+// Hash of a job's options and the current state of its input files
+function jobSignature(spec) {
+  const hash = crypto.createHash('sha1').update(SIGNATURE_VERSION);
+  const keys = Object.keys(spec).filter(k => k !== 'id').sort();
+  hash.update(JSON.stringify(keys.map(k => [k, spec[k]])));
+  for (const key of INPUT_KEYS) {
+    if (!spec[key]) continue;
+    try {
+      const st = fs.statSync(spec[key]);
+      hash.update(`${key}:${st.size}:${st.mtimeMs}`);
+    } catch (e) {
+      hash.update(`${key}:missing`);
+    }
+  }
+  return hash.digest('hex');
+}
+
+// Input files named by a job that don't exist
+function missingInputs(spec) {
+  return INPUT_KEYS.filter(key => spec[key] && !fs.existsSync(spec[key])).map(key => `${key} ${spec[key]}`);
+}
+
+// Whether `previous` (the job's entry in the last report) still matches
+function upToDate(previous, signature) {
+  if (!previous || previous.status === 'failed' || previous.signature !== signature) return false;
+  const outputs = previous.outputs || [];
+  return outputs.length > 0 && outputs.every(o => {
+    try {
+      return fs.statSync(o.output).size === o.size;
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+function loadReport(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function saveReport(report, file) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(report, null, 2) + '\n', 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+module.exports = {
+  loadManifest,
+  jobSignature,
+  missingInputs,
+  upToDate,
+  loadReport,
+  saveReport,
+};
@@ -0,0 +1,127 @@
+/**
+ * bidi.js
+ * Script-aware text helpers shared by chunking, layout and the subtitle
+ * writers.
+ *
+ * Right-to-left: SVG text gets `direction="rtl"`, but karaoke and emphasis
+ * draw each word as its own <text>, so word order across a line has to be
+ * resolved here. This is the Unicode bidi algorithm cut down to whole words:
+ * a word takes the direction of its first strong letter; words without one
+ * (numbers, punctuation, emoji) follow their neighbours when both agree, else
+ * the line's base direction — except that digits after a Latin word stay
+ * Latin. Runs against the base direction keep their own
+ * order, so "مرحبا iPhone 15 Pro" draws as "iPhone 15 Pro مرحبا" read from
+ * the left.
+ *
+ * CJK: Chinese and Japanese (and Thai, Lao, Khmer, Myanmar) are written
+ * without spaces between words, so tokens are joined without one, and a
+ * line's word budget (maxWordsPerLine / maxChunkSize) counts CJK tokens by
+ * characters rather than as one word each.
+ */
+
+'use strict';
+
+const RTL_LANGS = new Set(['ar', 'he', 'fa', 'ur', 'yi', 'dv', 'ps', 'ku', 'sd', 'ug']);
+
+const RTL_RE    = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u;
+const LETTER_RE = /\p{L}/u;
+const DIGIT_RE  = /^[\p{P}\p{S}]*[0-9]/u;
+
+// CJK ideographs and kana, and CJK / full-width punctuation
+const CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}';
+const CJK_PUNCT = '\\u3000-\\u303F\\uFF00-\\uFFEF';
+const CJK_RE = new RegExp(`[${CJK}${CJK_PUNCT}]`, 'u');
+// Scripts written without spaces between words
+const NO_SPACE_RE = new RegExp(`[${CJK}${CJK_PUNCT}\\p{Script=Thai}\\p{Script=Lao}\\p{Script=Khmer}\\p{Script=Myanmar}]`, 'u');
+// One CJK character (with any marks/punctuation after it), or a run of anything else
+const BREAK_RE = new RegExp(`[${CJK}][\\p{M}${CJK_PUNCT}]*|[^${CJK}]+`, 'gu');
+
+// A CJK token counts as one "word" per this many characters
+const CJK_CHARS_PER_WORD = 2;
+
+function isRTL(lang) {
+  return Boolean(lang) && RTL_LANGS.has(String(lang).toLowerCase().split(/[-_]/)[0]);
+}
+
+// 'rtl' | 'ltr' from the first strong letter, or null when there is none
+function wordDirection(word) {
+  for (const ch of String(word)) {
+    if (LETTER_RE.test(ch)) return RTL_RE.test(ch) ? 'rtl' : 'ltr';
+  }
+  return null;
+}
+
+function isCJK(word) {
+  return CJK_RE.test(String(word));
+}
+
+/**
+ * How many words `word` counts as against maxWordsPerLine / maxChunkSize:
+ * 1, or characters / CJK_CHARS_PER_WORD for CJK tokens.
+ */
+function wordUnits(word) {
+  if (!isCJK(word)) return 1;
+  return Array.from(String(word)).length / CJK_CHARS_PER_WORD;
+}
+
+// Separator between two adjacent tokens: none next to a no-space script
+function separator(left, right) {
+  const a = Array.from(String(left));
+  const last = a[a.length - 1] || '';
+  const first = String(right)[Symbol.iterator]().next().value || '';
+  return NO_SPACE_RE.test(last) || NO_SPACE_RE.test(first) ? '' : ' ';
+}
+
+function joinWords(words) {
+  return words.reduce((text, w, i) => (i === 0 ? String(w) : text + separator(words[i - 1], w) + w), '');
+}
+
+/**
+ * Split free text into wrappable tokens: on spaces, and between the
+ * characters of CJK runs. joinWords() puts them back together.
+ */
+function breakTokens(text) {
+  return String(text).split(/\s+/).filter(Boolean).flatMap(part => part.match(BREAK_RE));
+}
+
+/**
+ * Resolve each item's direction and return the items in visual
+ * (left-to-right drawing) order. `textOf(item)` gives the item's text.
+ * Returns [{ item, dir }].
+ */
+function visualOrder(items, baseDir, textOf = String) {
+  const strong = items.map(item => wordDirection(textOf(item)));
+  const dirs = strong.map((dir, i) => {
+    if (dir) return dir;
+    const before = strong.slice(0, i).reverse().find(Boolean) || baseDir;
+    const after  = strong.slice(i + 1).find(Boolean) || baseDir;
+    // Digits after Latin text stay with it ("iPhone 15"), as in the full algorithm
+    if (before === 'ltr' && DIGIT_RE.test(textOf(items[i]))) return 'ltr';
+    return before === after ? before : baseDir;
+  });
+
+  // Group into runs of equal direction; runs against the base keep their
+  // order, and an RTL base reverses the order of the runs themselves
+  const runs = [];
+  items.forEach((item, i) => {
+    const last = runs[runs.length - 1];
+    if (last && last.dir === dirs[i]) last.items.push({ item, dir: dirs[i] });
+    else runs.push({ dir: dirs[i], items: [{ item, dir: dirs[i] }] });
+  });
+  for (const run of runs) {
+    if (run.dir === 'rtl') run.items.reverse();
+  }
+  if (baseDir === 'rtl') runs.reverse();
+  return runs.flatMap(run => run.items);
+}
+
+module.exports = {
+  isRTL,
+  wordDirection,
+  isCJK,
+  wordUnits,
+  separator,
+  joinWords,
+  breakTokens,
+  visualOrder,
+};
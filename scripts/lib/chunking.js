@@ -0,0 +1,217 @@
+/**
+ * chunking.js
+ * Groups words into subtitle chunks and chunks into lines, with readability
+ * rules from style.readability:
+ *
+ *   "readability": {
+ *     "breakAt": "clause",       sentence | clause | none — end chunks at punctuation
+ *     "maxCharsPerLine": 24,     unset = no limit
+ *     "maxCharsPerChunk": 42,    unset = no limit
+ *     "maxCPS": 20,              reading speed limit, characters per second
+ *     "minDuration": 0.8,        seconds a chunk stays on screen at least
+ *     "linger": 0.6,             seconds a chunk may stay up into the silence after it
+ *     "balanceLines": true       even out line lengths instead of filling greedily
+ *   }
+ *
+ * A chunk ends at a pause (animation.pauseThreshold), a speaker change, or
+ * when the next word would overflow text.maxChunkSize or maxCharsPerChunk.
+ * Punctuation breaks are soft: one is taken only when the chunk before it
+ * can stay up long enough to be read (minDuration and maxCPS, measured up to
+ * the next word), so a quick "Yes." joins what follows instead of flashing.
+ *
+ * Timing never moves a chunk's start. Its end is pushed out to satisfy
+ * minDuration and maxCPS and to linger into following silence, but never
+ * past the start of the next chunk.
+ *
+ * The values above are the defaults within a readability block. A style
+ * without one keeps plain chunking: no punctuation breaks, no character
+ * caps, no timing changes and greedy line filling.
+ */
+
+'use strict';
+
+const { wordUnits, joinWords } = require('./bidi');
+
+const SENTENCE_END_RE = /[.!?…。！？‼⁇⁈⁉]["'”’»)\]]*$/u;
+const CLAUSE_END_RE   = /[,;:—–，、；：]["'”’»)\]]*$/u;
+
+const charCount = words => Array.from(joinWords(words)).length;
+
+const PLAIN = {
+  breakAt:          'none',
+  maxCharsPerLine:  Infinity,
+  maxCharsPerChunk: Infinity,
+  maxCPS:           Infinity,
+  minDuration:      0,
+  linger:           0,
+  balanceLines:     false,
+};
+
+function readability(style) {
+  const r = style.readability;
+  if (!r) return Object.assign({}, PLAIN);
+  return {
+    breakAt:          r.breakAt || 'clause',
+    maxCharsPerLine:  r.maxCharsPerLine  || Infinity,
+    maxCharsPerChunk: r.maxCharsPerChunk || Infinity,
+    maxCPS:           r.maxCPS      || 20,
+    minDuration:      r.minDuration != null ? r.minDuration : 0.8,
+    linger:           r.linger      != null ? r.linger      : 0.6,
+    balanceLines:     r.balanceLines !== false,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Chunk grouping
+// ---------------------------------------------------------------------------
+
+// Does `word` end a sentence or clause that breakAt asks to split on?
+function endsPhrase(word, breakAt) {
+  if (breakAt === 'none') return false;
+  if (SENTENCE_END_RE.test(word)) return true;
+  return breakAt === 'clause' && CLAUSE_END_RE.test(word);
+}
+
+function buildChunks(words, style, mode) {
+  const pauseThreshold = (style.animation && style.animation.pauseThreshold) || 0.3;
+  const maxChunkSize   = (style.text && style.text.maxChunkSize) || 4;
+  const r = readability(style);
+
+  if (mode === 'word') {
+    // one word per chunk
+    return applyTiming(words.map(w => withSpeaker({
+      words: [w],
+      start: w.start,
+      end:   w.end,
+    })), r);
+  }
+
+  // chunk and karaoke both group words into multi-word chunks
+  const chunks = [];
+  let current = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const w = words[i];
+    if (current.length === 0) {
+      current.push(w);
+      continue;
+    }
+    const prev = current[current.length - 1];
+    const gap  = w.start - prev.end;
+    const isNaturalPause = gap > pauseThreshold;
+    const isFull         = current.reduce((n, cw) => n + wordUnits(cw.word), 0) + wordUnits(w.word) > maxChunkSize ||
+                           charCount(current.concat([w]).map(cw => cw.word)) > r.maxCharsPerChunk;
+    const isNewSpeaker   = w.speaker !== prev.speaker;
+    const isPhraseEnd    = endsPhrase(prev.word, r.breakAt) && readable(current, w.start, r);
+
+    if (isNaturalPause || isFull || isNewSpeaker || isPhraseEnd) {
+      chunks.push(withSpeaker({ words: current, start: current[0].start, end: prev.end }));
+      current = [w];
+    } else {
+      current.push(w);
+    }
+  }
+  if (current.length > 0) {
+    chunks.push(withSpeaker({ words: current, start: current[0].start, end: current[current.length - 1].end }));
+  }
+  return applyTiming(chunks, r);
+}
+
+// Can `words` be read if shown until `until`?
+function readable(words, until, r) {
+  const available = until - words[0].start;
+  return available >= r.minDuration && charCount(words.map(w => w.word)) / available <= r.maxCPS;
+}
+
+// Chunks hold a single speaker's words; copy the label up for the renderers
+function withSpeaker(chunk) {
+  const speaker = chunk.words[0].speaker;
+  return speaker != null ? Object.assign(chunk, { speaker }) : chunk;
+}
+
+// Stretch chunk ends for minDuration, maxCPS and linger, up to the next chunk
+function applyTiming(chunks, r) {
+  return chunks.map((chunk, i) => {
+    const next = i + 1 < chunks.length ? chunks[i + 1].start : Infinity;
+    const need = chunk.start + Math.max(r.minDuration, charCount(chunk.words.map(w => w.word)) / r.maxCPS);
+    const want = Math.max(need, chunk.end + r.linger);
+    const end  = Math.max(chunk.end, Math.min(want, next));
+    return end === chunk.end ? chunk : Object.assign(chunk, { end: Math.round(end * 1000) / 1000 });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Line splitting
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a chunk's items into lines. A line holds at most `maxUnits` words
+ * (see wordUnits()), `maxChars` characters and `maxWidth` of width; a single
+ * item that breaks a limit gets a line of its own. Greedy filling decides
+ * the number of lines; with `balance` the breaks are then moved so the
+ * longest line is as short as possible.
+ *
+ * `textOf(item)`, `widthOf(item)` and `gapOf(left, right)` describe the
+ * items. Returns an array of item arrays.
+ */
+function splitLines(items, { maxUnits = Infinity, maxChars = Infinity, maxWidth = Infinity, balance = false,
+                             textOf, widthOf, gapOf }) {
+  if (items.length === 0) return [];
+
+  const lineWidth = (from, to) => {
+    let width = 0;
+    for (let k = from; k < to; k++) width += widthOf(items[k]) + (k > from ? gapOf(items[k - 1], items[k]) : 0);
+    return width;
+  };
+  const fits = (from, to) => to - from === 1 || (
+    items.slice(from, to).reduce((n, item) => n + wordUnits(textOf(item)), 0) <= maxUnits &&
+    charCount(items.slice(from, to).map(textOf)) <= maxChars &&
+    lineWidth(from, to) <= maxWidth);
+
+  // Greedy
+  const breaks = [0];
+  for (let k = 1; k < items.length; k++) {
+    if (!fits(breaks[breaks.length - 1], k + 1)) breaks.push(k);
+  }
+  breaks.push(items.length);
+  const count = breaks.length - 1;
+
+  if (balance && count > 1) {
+    // best[i][n]: smallest possible longest line for items i.. in n lines
+    const memo = new Map();
+    const best = (from, n) => {
+      const key = `${from}:${n}`;
+      if (memo.has(key)) return memo.get(key);
+      let result = { width: Infinity, to: -1 };
+      if (n === 1) {
+        if (fits(from, items.length)) result = { width: lineWidth(from, items.length), to: items.length };
+      } else {
+        for (let to = from + 1; to <= items.length - (n - 1) && fits(from, to); to++) {
+          const width = Math.max(lineWidth(from, to), best(to, n - 1).width);
+          if (width < result.width) result = { width, to };
+        }
+      }
+      memo.set(key, result);
+      return result;
+    };
+    if (best(0, count).width < Infinity) {
+      const lines = [];
+      for (let from = 0, n = count; n > 0; n--) {
+        const { to } = best(from, n);
+        lines.push(items.slice(from, to));
+        from = to;
+      }
+      return lines;
+    }
+  }
+
+  const lines = [];
+  for (let b = 0; b < count; b++) lines.push(items.slice(breaks[b], breaks[b + 1]));
+  return lines;
+}
+
+module.exports = {
+  readability,
+  buildChunks,
+  splitLines,
+};
@@ -0,0 +1,207 @@
+/**
+ * corrections.js
+ * Transcript fixes applied to words.json before chunking (--corrections):
+ *
+ *   {
+ *     "replace": [
+ *       { "from": "Anthropik", "to": "Anthropic" },
+ *       { "from": "open AI", "to": "OpenAI" },          two words merged into one
+ *       { "from": "GPT4o", "to": "GPT 4o" }            one word split into two
+ *     ],
+ *     "nudge":   [ { "index": 12, "shift": 0.08 }, { "word": "Claude", "start": -0.05 } ],
+ *     "fillers": ["um", "uh"],                          or true for the built-in list
+ *     "offset":  -0.25
+ *   }
+ *
+ * Steps run in that order:
+ *
+ *   replace  Case-sensitive match on whole words (surrounding punctuation is
+ *            ignored and carried over). A replacement with the same number
+ *            of words keeps each word's timing; otherwise the matched span is
+ *            shared out in proportion to the new words' lengths.
+ *   nudge    Moves one word's start/end by seconds. `index` is the position
+ *            in words.json as given; `word` matches every occurrence of the
+ *            (corrected) text. `shift` moves both ends.
+ *   fillers  Deletes filler words (case-insensitive). The filler's own time
+ *            goes to the neighbours it runs into (a gap shorter than the
+ *            pause threshold), split between them when both do, so removing
+ *            it doesn't open a pause mid-phrase. Real pauses on either side
+ *            are left alone.
+ *   offset   Added to every timestamp (clamped at 0), e.g. to line captions
+ *            up with a trimmed or delayed audio track.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { InputError } = require('./errors');
+const { splitWord } = require('./text-rules');
+
+const DEFAULT_FILLERS = ['um', 'uh', 'uhm', 'umm', 'erm', 'er', 'ah', 'hmm', 'mm'];
+
+const tokens = str => String(str).trim().split(/\s+/).filter(Boolean);
+
+// ---------------------------------------------------------------------------
+// Loading and validation
+// ---------------------------------------------------------------------------
+function loadCorrections(input) {
+  if (!input) return null;
+  let raw = input;
+  if (typeof input === 'string') {
+    if (!fs.existsSync(input)) throw new InputError(`Corrections file not found: ${input}`);
+    try {
+      raw = JSON.parse(fs.readFileSync(input, 'utf8'));
+    } catch (err) {
+      throw new InputError(`Cannot parse corrections ${input}: ${err.message}`);
+    }
+  }
+  validate(raw);
+  return raw;
+}
+
+function validate(c) {
+  const fail = msg => { throw new InputError(`Invalid corrections: ${msg}`); };
+  if (!c || typeof c !== 'object' || Array.isArray(c)) fail('expected a JSON object');
+  for (const key of Object.keys(c)) {
+    if (!['replace', 'nudge', 'fillers', 'offset'].includes(key)) fail(`unknown key "${key}"`);
+  }
+  (c.replace || []).forEach((r, i) => {
+    if (!r || tokens(r.from).length === 0) fail(`replace[${i}].from must be a non-empty string`);
+    if (typeof r.to !== 'string') fail(`replace[${i}].to must be a string ("" deletes)`);
+  });
+  (c.nudge || []).forEach((n, i) => {
+    if (!n || (n.index == null && n.word == null)) fail(`nudge[${i}] needs "index" or "word"`);
+    if (n.index != null && !(Number.isInteger(n.index) && n.index >= 0)) {
+      fail(`nudge[${i}].index must be a whole number (a position in words.json)`);
+    }
+    if (n.word != null && typeof n.word !== 'string') fail(`nudge[${i}].word must be a string`);
+    for (const k of ['shift', 'start', 'end']) {
+      if (n[k] != null && typeof n[k] !== 'number') fail(`nudge[${i}].${k} must be a number of seconds`);
+    }
+  });
+  if (c.fillers != null && c.fillers !== true && c.fillers !== false && !Array.isArray(c.fillers)) {
+    fail('fillers must be true, false or a list of words');
+  }
+  if (c.offset != null && typeof c.offset !== 'number') fail('offset must be a number of seconds');
+}
+
+// ---------------------------------------------------------------------------
+// Steps
+// ---------------------------------------------------------------------------
+function applyReplacements(words, rules) {
+  const patterns = rules.map(r => ({ from: tokens(r.from).map(tok => splitWord(tok).core), to: tokens(r.to) }))
+    // Longest match first so "open AI" wins over a rule for "open"
+    .sort((a, b) => b.from.length - a.from.length);
+
+  const out = [];
+  for (let i = 0; i < words.length;) {
+    const rule = patterns.find(p => p.from.every((tok, k) =>
+      i + k < words.length && splitWord(words[i + k].word).core === tok));
+    if (!rule) {
+      out.push(words[i++]);
+      continue;
+    }
+    const span = words.slice(i, i + rule.from.length);
+    out.push(...replaceSpan(span, rule.to));
+    i += rule.from.length;
+  }
+  return out;
+}
+
+function replaceSpan(span, to) {
+  if (to.length === 0) return [];
+  const lead  = splitWord(span[0].word).lead;
+  const trail = splitWord(span[span.length - 1].word).trail;
+  const text  = (tok, k) => (k === 0 ? lead : '') + tok + (k === to.length - 1 ? trail : '');
+
+  if (to.length === span.length) {
+    return span.map((w, k) => Object.assign({}, w, { word: text(to[k], k) }));
+  }
+
+  // Share the span out by character count
+  const start = span[0].start;
+  const total = span[span.length - 1].end - start;
+  const chars = to.reduce((sum, tok) => sum + Array.from(tok).length, 0);
+  let cursor = start;
+  return to.map((tok, k) => {
+    const dur = total * Array.from(tok).length / chars;
+    const w = Object.assign({}, span[0], { word: text(tok, k), start: cursor, end: cursor + dur });
+    cursor += dur;
+    return w;
+  });
+}
+
+function applyNudges(words, nudges) {
+  return words.map(w => {
+    let start = w.start, end = w.end;
+    for (const n of nudges) {
+      const hit = n.index != null ? w._index === n.index : splitWord(w.word).core === n.word;
+      if (!hit) continue;
+      start += (n.shift || 0) + (n.start || 0);
+      end   += (n.shift || 0) + (n.end || 0);
+    }
+    if (start === w.start && end === w.end) return w;
+    return Object.assign({}, w, { start, end: Math.max(start, end) });
+  });
+}
+
+function removeFillers(words, fillers, pauseThreshold) {
+  const list = new Set((fillers === true ? DEFAULT_FILLERS : fillers).map(f => f.toLowerCase()));
+  const out = words.map(w => Object.assign({}, w));
+  for (let i = out.length - 1; i >= 0; i--) {
+    const filler = out[i];
+    if (!list.has(splitWord(filler.word).core.toLowerCase())) continue;
+    // Only neighbours the filler runs into take its time; a pause is kept
+    const prev = i > 0 && filler.start - out[i - 1].end < pauseThreshold ? out[i - 1] : null;
+    const next = i < out.length - 1 && out[i + 1].start - filler.end < pauseThreshold ? out[i + 1] : null;
+    const mid  = (filler.start + filler.end) / 2;
+    if (prev) prev.end = Math.max(prev.end, next ? mid : filler.end);
+    if (next) next.start = Math.min(next.start, prev ? mid : filler.start);
+    out.splice(i, 1);
+  }
+  return out;
+}
+
+function applyOffset(words, offset) {
+  return words.map(w => Object.assign({}, w, {
+    start: Math.max(0, w.start + offset),
+    end:   Math.max(0, w.end + offset),
+  }));
+}
+
+/**
+ * Apply a corrections object (see the header) to a words array. Returns a
+ * new array; the input words are not modified. `pauseThreshold` should match
+ * the style's animation.pauseThreshold (default 0.3 s).
+ */
+function applyCorrections(words, corrections, { pauseThreshold = 0.3 } = {}) {
+  if (!corrections) return words;
+  // Remember words.json positions so nudge indexes survive merges/splits
+  let out = words.map((w, i) => Object.assign({}, w, { _index: i }));
+
+  if (corrections.replace && corrections.replace.length > 0) {
+    out = applyReplacements(out, corrections.replace);
+  }
+  if (corrections.nudge && corrections.nudge.length > 0) {
+    out = applyNudges(out, corrections.nudge);
+  }
+  if (corrections.fillers) {
+    out = removeFillers(out, corrections.fillers, pauseThreshold);
+  }
+  if (corrections.offset) {
+    out = applyOffset(out, corrections.offset);
+  }
+  // Round away float noise from the arithmetic above (1 ms is plenty)
+  const ms = t => Math.round(t * 1000) / 1000;
+  return out.map(w => {
+    const copy = Object.assign({}, w, { start: ms(w.start), end: ms(w.end) });
+    delete copy._index;
+    return copy;
+  });
+}
+
+module.exports = {
+  DEFAULT_FILLERS,
+  loadCorrections,
+  applyCorrections,
+};
@@ -0,0 +1,59 @@
+/**
+ * errors.js
+ * Typed errors thrown by the generate-video API. Every error carries a stable
+ * `code` so embedding services can branch on it without parsing messages.
+ */
+
+'use strict';
+
+class GenerateVideoError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+// Bad or missing options / CLI arguments
+class UsageError extends GenerateVideoError {
+  constructor(message) { super(message, 'EUSAGE'); }
+}
+
+// An input file (words, audio, video, background) is missing or unreadable
+class InputError extends GenerateVideoError {
+  constructor(message) { super(message, 'EINPUT'); }
+}
+
+// The style contains a value the renderer cannot use
+class StyleError extends GenerateVideoError {
+  constructor(message) { super(message, 'ESTYLE'); }
+}
+
+// A required tool or package (sharp, ffmpeg) is not available
+class DependencyError extends GenerateVideoError {
+  constructor(message) { super(message, 'EDEPENDENCY'); }
+}
+
+// A subtitle frame could not be rasterised (sharp rejected the SVG)
+class RenderError extends GenerateVideoError {
+  constructor(message) { super(message, 'ERENDER'); }
+}
+
+// ffmpeg ran but exited non-zero; stderr holds its full output
+class FFmpegError extends GenerateVideoError {
+  constructor(message, exitCode, stderr) {
+    super(message, 'EFFMPEG');
+    this.exitCode = exitCode;
+    this.stderr = stderr;
+  }
+}
+
+module.exports = {
+  GenerateVideoError,
+  UsageError,
+  InputError,
+  StyleError,
+  DependencyError,
+  RenderError,
+  FFmpegError,
+};
@@ -0,0 +1,127 @@
+/**
+ * frame-renderer.js
+ * Content-addressed, concurrency-limited frame rasterisation.
+ *
+ * Every SVG is keyed by a hash of its markup, so identical frames (repeated
+ * chunks, the blank frame, static stretches between animations) are
+ * rasterised once per run. With a cacheDir the PNGs also survive between runs.
+ * Renders run through a small promise pool; sharp does the heavy lifting on
+ * libvips threads, so the pool only bounds how many are in flight.
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+// Bumped whenever the rasteriser's output for a given SVG changes, so stale
+// entries in a persistent cacheDir are never reused
+const CACHE_VERSION = 'density300-v1';
+
+function hashSvg(svg) {
+  return crypto.createHash('sha1').update(CACHE_VERSION).update(svg).digest('hex');
+}
+
+// Minimal semaphore: at most `limit` tasks run at once, FIFO
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => { active--; next(); });
+  };
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * createFrameRenderer({ rasterize, dir, cacheDir, concurrency })
+ *
+ *   rasterize(svg) → Promise<Buffer>   the actual SVG → PNG renderer
+ *   dir        where per-run PNGs are written (the temp dir)
+ *   cacheDir   optional persistent cache; used instead of dir when set
+ *
+ * Returns:
+ *   toFile(svg)   → Promise<path>    PNG on disk (rendered at most once)
+ *   toBuffer(svg) → Promise<Buffer>  PNG bytes, without keeping a file
+ *   stats()       → { requested, rendered, cached }
+ */
+function createFrameRenderer({ rasterize, dir, cacheDir = null, concurrency = 4 }) {
+  const limit   = createLimiter(Math.max(1, concurrency));
+  const files   = new Map();   // hash → Promise<path>
+  const outDir  = cacheDir || dir;
+  const counts  = { requested: 0, rendered: 0, cached: 0 };
+
+  if (cacheDir && !fs.existsSync(cacheDir)) fs.mkdirSync(cacheDir, { recursive: true });
+
+  async function render(svg) {
+    counts.rendered++;
+    return limit(() => rasterize(svg));
+  }
+
+  function toFile(svg) {
+    counts.requested++;
+    const hash = hashSvg(svg);
+    if (!files.has(hash)) {
+      const pngPath = path.join(outDir, `${hash}.png`);
+      files.set(hash, (async () => {
+        if (cacheDir && fs.existsSync(pngPath)) {
+          counts.cached++;
+          return pngPath;
+        }
+        const buf = await render(svg);
+        // Write then rename so an interrupted run never leaves a torn cache entry
+        const tmp = `${pngPath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, buf);
+        await fs.promises.rename(tmp, pngPath);
+        return pngPath;
+      })());
+    } else {
+      counts.cached++;
+    }
+    return files.get(hash);
+  }
+
+  async function toBuffer(svg) {
+    counts.requested++;
+    if (cacheDir) {
+      const pngPath = path.join(cacheDir, `${hashSvg(svg)}.png`);
+      if (fs.existsSync(pngPath)) {
+        counts.cached++;
+        return fs.promises.readFile(pngPath);
+      }
+      const buf = await render(svg);
+      await fs.promises.writeFile(`${pngPath}.${process.pid}.tmp`, buf);
+      await fs.promises.rename(`${pngPath}.${process.pid}.tmp`, pngPath);
+      return buf;
+    }
+    return render(svg);
+  }
+
+  return { toFile, toBuffer, stats: () => Object.assign({}, counts) };
+}
+
+// Run fn over items with at most `concurrency` calls in flight, keeping order
+async function mapPool(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  hashSvg,
+  createFrameRenderer,
+  mapPool,
+};
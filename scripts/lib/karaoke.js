@@ -0,0 +1,70 @@
+/**
+ * karaoke.js
+ * Karaoke highlight styles (style.karaoke.style):
+ *
+ *   jump   — one frame per word; only the word being spoken is highlighted
+ *   sweep  — the highlight fills each word in proportion to the time elapsed
+ *            between word.start and word.end, rendered at video.fps while a
+ *            word is being spoken; spoken words stay filled
+ */
+
+'use strict';
+
+const { StyleError } = require('./errors');
+
+const STYLES = ['jump', 'sweep'];
+
+function karaokeStyle(style) {
+  const name = (style.karaoke && style.karaoke.style) || 'jump';
+  if (!STYLES.includes(name)) {
+    throw new StyleError(`Unknown karaoke.style "${name}" (expected one of: ${STYLES.join(', ')})`);
+  }
+  return name;
+}
+
+// Fraction of `wo` spoken at time t, clamped to 0..1
+function wordProgress(wo, t) {
+  const span = Math.max(wo.end - wo.start, 0.001);
+  return Math.min(1, Math.max(0, (t - wo.start) / span));
+}
+
+/**
+ * Split sweep frames into fps-rate frames while a word is being spoken and
+ * single stills for the pauses in between. Every output frame carries a
+ * `sweepTime` at which word progress is evaluated; frames keep any other
+ * properties (e.g. transition `anim`) they came in with.
+ */
+function expandSweep(frames, fps) {
+  const out = [];
+  const push = (frame, start, end, sweepTime) => {
+    if (end - start > 0.0005) out.push(Object.assign({}, frame, { start, end, sweepTime }));
+  };
+
+  for (const frame of frames) {
+    let cursor = frame.start;
+    for (const wo of frame.words) {
+      const ws = Math.max(wo.start, cursor);
+      const we = Math.min(wo.end, frame.end);
+      if (we <= cursor) continue;
+      if (ws >= frame.end) break;
+
+      push(frame, cursor, ws, cursor);
+      // Sample at the end of each frame so a word is fully filled by its end
+      const n    = Math.max(1, Math.round((we - ws) * fps));
+      const step = (we - ws) / n;
+      for (let k = 0; k < n; k++) {
+        push(frame, ws + k * step, ws + (k + 1) * step, ws + (k + 1) * step);
+      }
+      cursor = we;
+    }
+    push(frame, cursor, frame.end, cursor);
+  }
+  return out;
+}
+
+module.exports = {
+  STYLES,
+  karaokeStyle,
+  wordProgress,
+  expandSweep,
+};
@@ -0,0 +1,252 @@
+/**
+ * layout.js
+ * Text measurement and line layout for subtitle frames.
+ *
+ * Word widths are measured by rasterising them through the same librsvg/Pango
+ * path (sharp) that renders the frames, so positions match the pixels that end
+ * up in the video. Each string is measured once at a reference size and scaled
+ * linearly to whatever font size a chunk ends up using.
+ */
+
+'use strict';
+
+const { separator, joinWords, visualOrder } = require('./bidi');
+const { readability, splitLines } = require('./chunking');
+
+const REF_SIZE = 100;    // font size (px) strings are measured at
+const DENSITY  = 300;    // same density renderFrame() rasterises frames at
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// ---------------------------------------------------------------------------
+// Fallback estimate, used when sharp is unavailable or a string was not
+// preloaded. Wide (CJK/full-width) and emoji glyphs count as a full em.
+// ---------------------------------------------------------------------------
+const WIDE_RE  = /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/u;
+const EMOJI_RE = /\p{Extended_Pictographic}/u;
+const ZERO_RE  = /[\p{M}\u200D\uFE0F]/u;   // combining marks, ZWJ, emoji presentation
+
+function approxWidth(str, fontSize) {
+  let em = 0;
+  for (const ch of String(str)) {
+    if (ZERO_RE.test(ch)) continue;
+    if (EMOJI_RE.test(ch))     em += 1.1;
+    else if (WIDE_RE.test(ch)) em += 1.0;
+    else                       em += 0.55;
+  }
+  return em * fontSize;
+}
+
+// ---------------------------------------------------------------------------
+// Measurer
+// ---------------------------------------------------------------------------
+
+// Advance width of `str` at REF_SIZE. Text is bracketed by bars and the width
+// of the bars alone is subtracted, which turns trimmed ink bounds into the
+// advance width (side bearings and spaces included).
+async function measureAdvance(sharp, str, font, barsWidth) {
+  const scale = DENSITY / 72;
+  const w = Math.ceil((Array.from(str).length + 4) * REF_SIZE * 1.5);
+  const h = REF_SIZE * 3;
+  const svg = `<svg width="${w}" height="${h}" xmlns="http://www.w3.org/2000/svg">` +
+    `<text x="${REF_SIZE}" y="${h / 2}" dominant-baseline="middle" xml:space="preserve" ` +
+    `font-family="${escapeXml(font.family)}" font-weight="${font.weight}" font-size="${REF_SIZE}"` +
+    `>|${escapeXml(str)}|</text></svg>`;
+  const { info } = await sharp(Buffer.from(svg), { density: DENSITY })
+    .trim()
+    .png()
+    .toBuffer({ resolveWithObject: true });
+  return info.width / scale - barsWidth;
+}
+
+/**
+ * Create a measurer for the style's font. Call `await preload(strings)` once
+ * before rendering; `width(str, fontSize)` is then synchronous so buildSvg()
+ * can stay synchronous too.
+ */
+function createMeasurer(style) {
+  const font = {
+    family: (style.text && style.text.fontFamily) || 'Arial, sans-serif',
+    weight: (style.text && style.text.fontWeight) || 'bold',
+  };
+  const cache = new Map();
+  let sharp = null;
+  let barsWidth = null;
+
+  async function preload(strings) {
+    if (sharp === null) {
+      try {
+        sharp = require('sharp');
+      } catch (e) {
+        sharp = false;
+      }
+    }
+    if (!sharp) return;
+
+    if (barsWidth === null) {
+      barsWidth = 0;
+      barsWidth = await measureAdvance(sharp, '', font, 0);
+    }
+    for (const str of new Set([' '].concat(strings))) {
+      if (cache.has(str) || str === '') continue;
+      cache.set(str, await measureAdvance(sharp, str, font, barsWidth));
+    }
+  }
+
+  function width(str, fontSize) {
+    if (str === '') return 0;
+    const ref = cache.get(str);
+    return ref !== undefined ? ref * fontSize / REF_SIZE : approxWidth(str, fontSize);
+  }
+
+  return { preload, width, measured: () => cache.size };
+}
+
+// Measurer that never touches sharp — the old character-count heuristic,
+// made aware of wide and emoji glyphs
+function approxMeasurer() {
+  return { preload: async () => {}, width: (str, fontSize) => approxWidth(str, fontSize), measured: () => 0 };
+}
+
+// ---------------------------------------------------------------------------
+// Line layout
+// ---------------------------------------------------------------------------
+
+// Wrap by measured width, maxWordsPerLine (CJK tokens count by characters,
+// see lib/bidi.js) and readability.maxCharsPerLine, balancing line lengths
+// unless readability.balanceLines is false (lib/chunking.js). Oversized
+// single words get a line of their own (the font-size fit below shrinks them).
+function wrapWords(wordObjs, fontSize, maxWidth, style, measurer) {
+  const space = measurer.width(' ', fontSize);
+  const r = readability(style);
+  const items = wordObjs.map(wo => ({ wo, width: measurer.width(wo.word, fontSize * wordScale(wo)) }));
+
+  return splitLines(items, {
+    maxUnits: (style.text && style.text.maxWordsPerLine) || 2,
+    maxChars: r.maxCharsPerLine,
+    maxWidth,
+    balance:  r.balanceLines,
+    textOf:   item => item.wo.word,
+    widthOf:  item => item.width,
+    gapOf:    (a, b) => gapWidth(a.wo, b.wo, space),
+  }).map(words => ({
+    words,
+    width: words.reduce((sum, item, k) => sum + item.width + (k > 0 ? gapWidth(words[k - 1].wo, item.wo, space) : 0), 0),
+    scale: Math.max(...words.map(item => wordScale(item.wo))),
+  }));
+}
+
+// Space between two neighbouring words; none next to CJK and other scripts
+// written without spaces
+function gapWidth(left, right, space) {
+  return separator(left.word, right.word) ? space : 0;
+}
+
+// Emphasised words (style.rules.emphasis) are drawn at fontSize × scale
+function wordScale(wo) {
+  return (wo.emphasis && wo.emphasis.scale) || 1;
+}
+
+/**
+ * Distance (px) text must keep from each frame edge: text.safeMargin
+ * (default 60) or video.safeZone for that edge (platform UI), whichever is
+ * larger.
+ */
+function safeArea(style) {
+  const margin = (style.text && style.text.safeMargin != null) ? style.text.safeMargin : 60;
+  const zone   = (style.video && style.video.safeZone) || {};
+  const edge   = side => Math.max(margin, zone[side] || 0);
+  return { top: edge('top'), right: edge('right'), bottom: edge('bottom'), left: edge('left') };
+}
+
+/**
+ * Lay out a chunk's words inside the frame's safe area.
+ *
+ * Returns { fontSize, lineHeightPx, top, height, centerX, lines }, where each
+ * line is { y, width, text, words: [{ wo, x, width, fontSize, dir }] }, text is
+ * the line in spoken order (for whole-line <text> elements), x is the
+ * horizontal centre of the word in frame pixels and dir its resolved text
+ * direction. Words are wrapped in spoken order and placed in visual order
+ * for the line's base direction (`baseDir`, 'ltr' or 'rtl'), so in RTL text
+ * the first word sits on the right. Lines are centred on the safe area
+ * (centerX); a line holding an enlarged (emphasised) word is taller by that
+ * word's scale. The font size is reduced (down to text.minFontSize) until
+ * the block fits.
+ */
+function layoutChunk(chunk, style, measurer, baseDir = 'ltr') {
+  const W = (style.video && style.video.width)  || 1080;
+  const H = (style.video && style.video.height) || 1920;
+
+  const baseSize    = (style.text && style.text.fontSize)        || 90;
+  const minSize     = (style.text && style.text.minFontSize)     || Math.round(baseSize * 0.5);
+  const strokeWidth = (style.text && style.text.strokeWidth)     || 12;
+  const lineHeight  = (style.text && style.text.lineHeight)      || 1.3;
+  const positionY   = (style.text && style.text.positionY)       || 0.5;
+  const safe        = safeArea(style);
+
+  // The outline spills strokeWidth/2 past the glyphs on every side
+  const maxWidth  = W - safe.left - safe.right - strokeWidth;
+  const maxHeight = H - safe.top - safe.bottom - strokeWidth;
+  const centerX   = (safe.left + W - safe.right) / 2;
+
+  let fontSize = baseSize;
+  let lines;
+  for (;;) {
+    lines = wrapWords(chunk.words, fontSize, maxWidth, style, measurer);
+    const widest = Math.max(0, ...lines.map(l => l.width));
+    const height = lines.reduce((sum, l) => sum + l.scale, 0) * fontSize * lineHeight;
+    const ratio  = Math.min(maxWidth / (widest || 1), maxHeight / (height || 1));
+    if (ratio >= 1 || fontSize <= minSize) break;
+    // Shrinking can let words re-flow onto fewer lines, so re-wrap each step
+    fontSize = Math.max(minSize, Math.min(fontSize - 1, Math.floor(fontSize * ratio)));
+  }
+
+  const lineHeightPx = fontSize * lineHeight;
+  const blockHeight  = lines.reduce((sum, l) => sum + l.scale, 0) * lineHeightPx;
+  // Keep the block inside the safe area even when positionY is near an edge
+  const top = Math.min(
+    Math.max(H * positionY - blockHeight / 2, safe.top),
+    Math.max(H - safe.bottom - blockHeight, safe.top)
+  );
+  const space = measurer.width(' ', fontSize);
+
+  let yPos = top;
+
+  return {
+    fontSize,
+    lineHeightPx,
+    top,
+    height: blockHeight,
+    centerX,
+    lines: lines.map(line => {
+      const visual = visualOrder(line.words, baseDir, ({ wo }) => wo.word);
+      const gaps   = visual.map((v, i) => (i === 0 ? 0 : gapWidth(visual[i - 1].item.wo, v.item.wo, space)));
+      const width  = visual.reduce((sum, v, i) => sum + gaps[i] + v.item.width, 0);
+      let xPos = centerX - width / 2;
+      const words = visual.map(({ item: { wo, width: w }, dir }, i) => {
+        xPos += gaps[i];
+        const placed = { wo, x: xPos + w / 2, width: w, fontSize: fontSize * wordScale(wo), dir };
+        xPos += w;
+        return placed;
+      });
+      const h = lineHeightPx * line.scale;
+      yPos += h;
+      return { y: yPos - h / 2, width, text: joinWords(line.words.map(({ wo }) => wo.word)), words };
+    }),
+  };
+}
+
+module.exports = {
+  safeArea,
+  createMeasurer,
+  approxMeasurer,
+  approxWidth,
+  layoutChunk,
+};
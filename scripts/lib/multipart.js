@@ -0,0 +1,202 @@
+/**
+ * multipart.js
+ * A small streaming multipart/form-data parser for render-server.js. Text
+ * fields are collected in memory; file parts are written straight to disk,
+ * so an upload never has to fit in memory. The whole body is held to
+ * `maxBytes`.
+ *
+ * Errors carry an HTTP `statusCode` (400 malformed, 413 too large, 415 not
+ * multipart) for the server to answer with.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const MAX_FIELD_BYTES  = 64 * 1024;
+const MAX_HEADER_BYTES = 8 * 1024;
+
+const mb = bytes => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// The boundary from a Content-Type header, or null
+function boundaryOf(contentType) {
+  const m = /^multipart\/form-data\s*;.*?boundary=(?:"([^"]+)"|([^\s;]+))/i.exec(contentType || '');
+  return m ? m[1] || m[2] : null;
+}
+
+// { name, filename, contentType } from a part's header block
+function partInfo(headerText) {
+  const info = { name: null, filename: null, contentType: null };
+  for (const line of headerText.split('\r\n')) {
+    const colon = line.indexOf(':');
+    if (colon < 0) continue;
+    const key = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+    if (key === 'content-disposition') {
+      const name = /\bname="([^"]*)"/i.exec(value);
+      const filename = /\bfilename="([^"]*)"/i.exec(value);
+      if (name) info.name = name[1];
+      if (filename) info.filename = path.basename(filename[1].replace(/\\/g, '/'));
+    } else if (key === 'content-type') {
+      info.contentType = value;
+    }
+  }
+  return info;
+}
+
+/**
+ * Parse the multipart body of `req`. Each file part is written to
+ * `fileDir`/<n>-upload (created as needed) and reported as
+ * { path, filename, contentType, size }. Resolves to { fields, files },
+ * both keyed by part name; on error any written files are removed.
+ */
+function parseMultipart(req, { fileDir, maxBytes = Infinity }) {
+  return new Promise((resolve, reject) => {
+    const boundary = boundaryOf(req.headers['content-type']);
+    if (!boundary) return reject(httpError(415, 'Expected a multipart/form-data upload'));
+    const declared = parseInt(req.headers['content-length'], 10);
+    if (declared > maxBytes) return reject(httpError(413, `Upload is over the ${mb(maxBytes)} limit`));
+
+    // Starting with CRLF lets the first delimiter match like the others
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    const fields = {};
+    const files = {};
+    const written = [];
+    const flushed = [];
+    let buf = Buffer.from('\r\n');
+    let state = 'preamble';   // preamble → after → headers → body → after … → end
+    let part = null;          // { info, chunks, size, out }
+    let received = 0;
+    let failed = false;
+
+    const fail = err => {
+      if (failed) return;
+      failed = true;
+      req.resume();
+      if (part && part.out) part.out.destroy();
+      for (const f of written) fs.rmSync(f, { force: true });
+      reject(err);
+    };
+
+    const startPart = headerText => {
+      const info = partInfo(headerText);
+      if (!info.name) throw httpError(400, 'Multipart part without a name');
+      part = { info, chunks: [], size: 0, out: null };
+      if (info.filename !== null) {
+        fs.mkdirSync(fileDir, { recursive: true });
+        const dest = path.join(fileDir, `${written.length + 1}-upload`);
+        written.push(dest);
+        part.out = fs.createWriteStream(dest);
+        part.out.on('error', fail);
+        flushed.push(new Promise(done => part.out.on('finish', done)));
+        part.path = dest;
+      }
+    };
+
+    const writePart = data => {
+      if (data.length === 0) return;
+      part.size += data.length;
+      if (part.out) {
+        // The disk is behind the socket: stop reading until it catches up.
+        // An ended stream emits 'finish' rather than 'drain'
+        if (!part.out.write(data) && !req.isPaused()) {
+          const out = part.out;
+          const resume = () => {
+            out.off('drain', resume);
+            out.off('finish', resume);
+            if (!failed) req.resume();
+          };
+          req.pause();
+          out.on('drain', resume);
+          out.on('finish', resume);
+        }
+      } else {
+        if (part.size > MAX_FIELD_BYTES) throw httpError(413, `Field "${part.info.name}" is too long`);
+        part.chunks.push(data);
+      }
+    };
+
+    const endPart = () => {
+      const { info } = part;
+      if (part.out) {
+        part.out.end();
+        files[info.name] = { path: part.path, filename: info.filename, contentType: info.contentType, size: part.size };
+      } else {
+        fields[info.name] = Buffer.concat(part.chunks).toString('utf8');
+      }
+      part = null;
+    };
+
+    // Consume as much of `buf` as the current state allows
+    const consume = () => {
+      for (;;) {
+        if (state === 'preamble' || state === 'body') {
+          const at = buf.indexOf(delimiter);
+          if (at < 0) {
+            // Keep a tail that could be the start of a delimiter
+            const keep = Math.min(buf.length, delimiter.length - 1);
+            if (state === 'body') writePart(buf.subarray(0, buf.length - keep));
+            buf = buf.subarray(buf.length - keep);
+            return;
+          }
+          if (state === 'body') {
+            writePart(buf.subarray(0, at));
+            endPart();
+          }
+          buf = buf.subarray(at + delimiter.length);
+          state = 'after';
+        } else if (state === 'after') {
+          if (buf.length < 2) return;
+          const next = buf.subarray(0, 2).toString('latin1');
+          if (next === '--') { state = 'end'; return; }
+          if (next !== '\r\n') throw httpError(400, 'Malformed multipart body');
+          buf = buf.subarray(2);
+          state = 'headers';
+        } else if (state === 'headers') {
+          const at = buf.indexOf('\r\n\r\n');
+          if (at < 0) {
+            if (buf.length > MAX_HEADER_BYTES) throw httpError(400, 'Multipart headers too long');
+            return;
+          }
+          startPart(buf.subarray(0, at).toString('utf8'));
+          buf = buf.subarray(at + 4);
+          state = 'body';
+        } else {
+          return;
+        }
+      }
+    };
+
+    req.on('data', chunk => {
+      if (failed) return;
+      received += chunk.length;
+      if (received > maxBytes) return fail(httpError(413, `Upload is over the ${mb(maxBytes)} limit`));
+      buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+      try {
+        consume();
+      } catch (err) {
+        fail(err);
+      }
+    });
+    req.on('error', fail);
+    req.on('aborted', () => fail(httpError(400, 'Upload aborted')));
+    req.on('end', () => {
+      if (failed) return;
+      if (state !== 'end') return fail(httpError(400, 'Incomplete multipart body'));
+      // Resolve once every file is flushed to disk
+      Promise.all(flushed).then(() => { if (!failed) resolve({ fields, files }); });
+    });
+  });
+}
+
+module.exports = {
+  boundaryOf,
+  parseMultipart,
+};
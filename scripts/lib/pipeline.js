@@ -0,0 +1,115 @@
+/**
+ * pipeline.js
+ * Runs the two pipeline steps as child processes — transcribe.py, then
+ * generate-video.js — for services that need to watch and cancel them
+ * (render-server.js, telegram-bot.js). Both take an AbortSignal; aborting
+ * kills the child and rejects with an AbortError.
+ *
+ * generate-video.js progress is read from its output ("Rendering frames:
+ * 12/300", "Encoding: 40%") and reported as the same events the
+ * generateVideo() API emits.
+ */
+
+'use strict';
+
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SCRIPTS_DIR   = path.join(__dirname, '..');
+const TRANSCRIBE    = path.join(SCRIPTS_DIR, 'transcribe.py');
+const GENERATE      = path.join(SCRIPTS_DIR, 'generate-video.js');
+
+function abortError() {
+  const err = new Error('Cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Spawn `cmd` and resolve when it exits 0. Output lines go to `onLine`
+ * (stdout and stderr; carriage returns end a line too). The last lines of
+ * output are kept for the error message.
+ */
+function runChild(cmd, args, { signal = null, onLine = null, label = path.basename(args[0] || cmd) } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(abortError());
+    const child = spawn(cmd, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const tail = [];
+    const pending = { stdout: '', stderr: '' };
+
+    const feed = stream => chunk => {
+      const lines = (pending[stream] + chunk.toString()).split(/[\r\n]/);
+      pending[stream] = lines.pop();
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        tail.push(line);
+        if (tail.length > 20) tail.shift();
+        if (onLine) onLine(line, stream);
+      }
+    };
+    child.stdout.on('data', feed('stdout'));
+    child.stderr.on('data', feed('stderr'));
+
+    const onAbort = () => child.kill('SIGTERM');
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    child.on('error', err => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      reject(err);
+    });
+    child.on('close', code => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (signal && signal.aborted) return reject(abortError());
+      if (code === 0) return resolve();
+      const last = tail.filter(l => /error|fatal/i.test(l)).pop() || tail[tail.length - 1] || '';
+      reject(new Error(`${label} exited with code ${code}${last ? `: ${last.trim()}` : ''}`));
+    });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Steps
+// ---------------------------------------------------------------------------
+
+// transcribe.py → words.json
+function transcribe({ audio, output, model = 'small', language = 'auto', python = 'python3', signal, onLine }) {
+  return runChild(python, [
+    TRANSCRIBE,
+    '--audio', audio,
+    '--output', output,
+    '--model', model,
+    '--language', language,
+  ], { signal, onLine, label: 'transcribe.py' });
+}
+
+// A generate-video.js progress line as a generateVideo() progress event, or null
+function cliProgress(line) {
+  let m = /Rendering frames: (\d+)\/(\d+)/.exec(line);
+  if (m) return { stage: 'frames', rendered: Number(m[1]), total: Number(m[2]) };
+  m = /Encoding: (\d+)%/.exec(line);
+  if (m) return { stage: 'ffmpeg', percent: Number(m[1]) };
+  return null;
+}
+
+/**
+ * generate-video.js with `args` (CLI flags). `onProgress` receives
+ * generateVideo()-style events parsed from its output.
+ */
+function render(args, { signal, onProgress, onLine } = {}) {
+  return runChild(process.execPath, [GENERATE, ...args], {
+    signal,
+    label: 'generate-video.js',
+    onLine: (line, stream) => {
+      const ev = cliProgress(line);
+      if (ev && onProgress) onProgress(ev);
+      if (onLine) onLine(line, stream);
+    },
+  });
+}
+
+module.exports = {
+  runChild,
+  transcribe,
+  render,
+  cliProgress,
+};
@@ -0,0 +1,310 @@
+/**
+ * render-jobs.js
+ * The job store and queue behind render-server.js. Each job is a directory
+ * under the data dir holding the upload, words.json, output.mp4 and a
+ * job.json record, so jobs survive a restart:
+ *
+ *   queued ──▶ transcribing ──▶ rendering ──▶ done
+ *     │              │              │
+ *     │              └──────────────┴──▶ failed
+ *     └──────── cancel (any time before done) ──▶ cancelled
+ *
+ * Up to `concurrency` jobs run at once, oldest first; at most `maxQueued`
+ * may wait. Each runs transcribe.py then generate-video.js as child
+ * processes (lib/pipeline.js), so cancelling kills whatever is running.
+ * Jobs that were running when the service stopped are queued again on the
+ * next start.
+ *
+ * `progress` is 0–100 over the whole job: transcription up to 30,
+ * frame rendering up to 80, encoding the rest.
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const pipeline = require('./pipeline');
+const { listPresets } = require('./style');
+const { FORMATS, variantOutput } = require('./variants');
+const { UsageError } = require('./errors');
+
+const MODES = ['chunk', 'word', 'karaoke'];
+const ACTIVE = ['transcribing', 'rendering'];
+const FINISHED = ['done', 'failed', 'cancelled'];
+
+const JOB_FILE   = 'job.json';
+const WORDS_FILE = 'words.json';
+const VIDEO_FILE = 'output.mp4';
+
+const now = () => new Date().toISOString();
+
+/**
+ * Check render options from a request and fill in the defaults:
+ * { mode, style, lang, format }. Throws UsageError for a bad value.
+ */
+function normalizeJobOptions(input = {}) {
+  const opts = {
+    mode:   input.mode   || 'chunk',
+    style:  input.style  || 'default',
+    lang:   input.lang   || 'auto',
+    format: input.format || null,
+  };
+  const oneOf = (key, list) => {
+    if (!list.includes(opts[key])) {
+      throw new UsageError(`Unknown ${key} "${opts[key]}" (expected one of: ${list.join(', ')})`);
+    }
+  };
+  oneOf('mode', MODES);
+  oneOf('style', ['default', ...listPresets()]);
+  if (opts.format) oneOf('format', Object.keys(FORMATS));
+  if (opts.lang !== 'auto' && !/^[a-z]{2,3}$/.test(opts.lang)) {
+    throw new UsageError(`Unknown language "${opts.lang}" (use a code such as en, es or de, or "auto")`);
+  }
+  return opts;
+}
+
+/**
+ * createJobService({ dataDir, concurrency, maxQueued, python, model, logger })
+ *   → { create, get, list, cancel, remove, files, counts, start, stop }
+ */
+function createJobService({
+  dataDir,
+  concurrency = 1,
+  maxQueued = 20,
+  python = 'python3',
+  model = 'small',
+  logger = console,
+} = {}) {
+  const jobs = new Map();      // id → job record
+  const waiting = [];          // queued ids, oldest first
+  const running = new Map();   // id → { controller, done }
+  let stopping = false;
+
+  const dirOf = id => path.join(dataDir, id);
+
+  function save(job) {
+    job.updated_at = now();
+    fs.writeFileSync(path.join(dirOf(job.id), JOB_FILE), JSON.stringify(job, null, 2) + '\n', 'utf8');
+  }
+
+  function setState(job, state, extra = {}) {
+    Object.assign(job, { state }, extra);
+    if (FINISHED.includes(state)) job.finished_at = now();
+    save(job);
+  }
+
+  // Load every job on disk; interrupted ones go back in the queue
+  function load() {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const found = [];
+    for (const entry of fs.readdirSync(dataDir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+      try {
+        found.push(JSON.parse(fs.readFileSync(path.join(dataDir, entry.name, JOB_FILE), 'utf8')));
+      } catch (e) {
+        logger.warn(`WARNING: skipping ${entry.name}: no readable ${JOB_FILE}`);
+      }
+    }
+    found.sort((a, b) => a.created_at.localeCompare(b.created_at));
+    for (const job of found) {
+      jobs.set(job.id, job);
+      if (job.state === 'queued' || ACTIVE.includes(job.state)) {
+        if (job.state !== 'queued') {
+          logger.log(`Job ${job.id} was interrupted while ${job.state}; queued again`);
+          setState(job, 'queued', { progress: 0, started_at: null });
+        }
+        waiting.push(job.id);
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Running
+  // ---------------------------------------------------------------------------
+  async function run(job, signal) {
+    const dir = dirOf(job.id);
+    const wordsPath = path.join(dir, WORDS_FILE);
+    const onLine = line => logger.log(`[${job.id.slice(0, 8)}] ${line}`);
+
+    setState(job, 'transcribing', { progress: 0, started_at: now() });
+    await pipeline.transcribe({
+      python, model,
+      audio: path.join(dir, job.input),
+      output: wordsPath,
+      language: job.options.lang,
+      signal, onLine,
+    });
+    job.language = JSON.parse(fs.readFileSync(wordsPath, 'utf8')).language || null;
+
+    setState(job, 'rendering', { progress: 30 });
+    const { mode, style, format } = job.options;
+    const args = [
+      '--words', wordsPath,
+      '--audio', path.join(dir, job.input),
+      '--output', path.join(dir, VIDEO_FILE),
+      '--mode', mode,
+    ];
+    if (style !== 'default') args.push('--preset', style);
+    if (format) args.push('--formats', format);
+    if (job.language) args.push('--lang', job.language);
+    await pipeline.render(args, {
+      signal, onLine,
+      onProgress: ev => {
+        if (ev.stage === 'frames' && ev.total) job.progress = 30 + Math.floor((ev.rendered / ev.total) * 50);
+        else if (ev.stage === 'ffmpeg') job.progress = 80 + Math.floor(ev.percent / 5);
+      },
+    });
+    // --formats names the file after the format
+    if (format) fs.renameSync(variantOutput(path.join(dir, VIDEO_FILE), format), path.join(dir, VIDEO_FILE));
+  }
+
+  function startNext() {
+    while (!stopping && running.size < concurrency && waiting.length > 0) {
+      const job = jobs.get(waiting.shift());
+      const controller = new AbortController();
+      const done = run(job, controller.signal)
+        .then(() => {
+          setState(job, 'done', { progress: 100, error: null });
+          logger.log(`Job ${job.id}: done`);
+        })
+        .catch(err => {
+          if (stopping) {
+            // Stopping the service isn't the user cancelling: run it again next time
+            setState(job, 'queued', { progress: 0, started_at: null });
+          } else if (err.name === 'AbortError') {
+            setState(job, 'cancelled');
+          } else {
+            setState(job, 'failed', { error: err.message || String(err) });
+          }
+          logger.log(`Job ${job.id}: ${job.state}${job.error ? ` (${job.error})` : ''}`);
+        })
+        .finally(() => {
+          running.delete(job.id);
+          startNext();
+        });
+      running.set(job.id, { controller, done });
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public interface
+  // ---------------------------------------------------------------------------
+  return {
+    start() {
+      load();
+      startNext();
+    },
+
+    // Abort running jobs (they are queued again on the next start) and wait for them
+    async stop() {
+      stopping = true;
+      const all = [...running.values()];
+      for (const r of all) r.controller.abort();
+      await Promise.all(all.map(r => r.done));
+    },
+
+    /**
+     * Queue a job for an uploaded file at `upload` (moved into the job's
+     * directory). Throws UsageError for bad options, and an error with
+     * statusCode 503 when the queue is full.
+     */
+    create({ upload, fileName, options }) {
+      const opts = normalizeJobOptions(options);
+      if (waiting.length >= maxQueued) {
+        const err = new Error(`The queue is full (${maxQueued} jobs waiting); try again later`);
+        err.statusCode = 503;
+        throw err;
+      }
+      const id = crypto.randomUUID();
+      const ext = (path.extname(fileName || '').toLowerCase().match(/^\.[a-z0-9]{1,5}$/) || ['.audio'])[0];
+      fs.mkdirSync(dirOf(id), { recursive: true });
+      fs.renameSync(upload, path.join(dirOf(id), `input${ext}`));
+
+      const job = {
+        id,
+        state: 'queued',
+        progress: 0,
+        options: opts,
+        file_name: fileName || null,
+        input: `input${ext}`,
+        language: null,
+        error: null,
+        created_at: now(),
+        updated_at: now(),
+        started_at: null,
+        finished_at: null,
+      };
+      jobs.set(id, job);
+      save(job);
+      waiting.push(id);
+      startNext();
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    // Newest first
+    list() {
+      return [...jobs.values()].sort((a, b) => b.created_at.localeCompare(a.created_at));
+    },
+
+    // Position in the queue (1 = next), or null when not waiting
+    position(id) {
+      const i = waiting.indexOf(id);
+      return i < 0 ? null : i + 1;
+    },
+
+    /**
+     * Cancel a queued or running job. Resolves to the job, or null when
+     * there is no such job; a finished job is returned unchanged.
+     */
+    async cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      const i = waiting.indexOf(id);
+      if (i >= 0) {
+        waiting.splice(i, 1);
+        setState(job, 'cancelled');
+      } else if (running.has(id)) {
+        const r = running.get(id);
+        r.controller.abort();
+        await r.done;
+      }
+      return job;
+    },
+
+    // Cancel if needed, then delete the job and its files
+    async remove(id) {
+      const job = await this.cancel(id);
+      if (!job) return false;
+      jobs.delete(id);
+      fs.rmSync(dirOf(id), { recursive: true, force: true });
+      return true;
+    },
+
+    // Paths of a job's results (null until they exist)
+    files(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      const exists = f => (fs.existsSync(f) ? f : null);
+      return {
+        video: job.state === 'done' ? exists(path.join(dirOf(id), VIDEO_FILE)) : null,
+        words: exists(path.join(dirOf(id), WORDS_FILE)),
+      };
+    },
+
+    counts() {
+      const out = { queued: 0, transcribing: 0, rendering: 0, done: 0, failed: 0, cancelled: 0 };
+      for (const job of jobs.values()) out[job.state] = (out[job.state] || 0) + 1;
+      return out;
+    },
+  };
+}
+
+module.exports = {
+  normalizeJobOptions,
+  createJobService,
+};
@@ -0,0 +1,208 @@
+/**
+ * secondary.js
+ * A second subtitle track (e.g. a translation) stacked with the primary one
+ * (--secondary-words). The track is a words.json — word-level, or with a
+ * `segments` array of { text, start, end } — or an SRT file, and is styled by
+ * style.secondary:
+ *
+ *   "secondary": {
+ *     "fontSize": 50,          default 0.55 × text.fontSize
+ *     "color": "#FFFFFF",
+ *     "strokeColor": "#000000",
+ *     "strokeWidth": 8,
+ *     "lineHeight": 1.25,
+ *     "gap": 24,               px between the two tracks
+ *     "position": "below"      below | above the primary text
+ *   }
+ *
+ * Secondary text is attached to the primary chunks from buildChunks() by time
+ * overlap: a word goes to the chunk it overlaps most, while a segment (an SRT
+ * cue or a words.json segment) is shown with every chunk it substantially
+ * overlaps — so a translated sentence stays up while the original is
+ * revealed chunk by chunk. The secondary track is never karaoke-highlighted.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { InputError } = require('./errors');
+const { safeArea } = require('./layout');
+const { breakTokens, joinWords, separator } = require('./bidi');
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+// "00:01:02,500" / "01:02.500" → seconds
+function parseSrtTime(str) {
+  const parts = str.trim().replace(',', '.').split(':').map(parseFloat);
+  return parts.reduce((acc, p) => acc * 60 + p, 0);
+}
+
+function parseSrt(text) {
+  const segments = [];
+  for (const block of text.replace(/^\uFEFF/, '').split(/\r?\n\s*\r?\n/)) {
+    const lines = block.split(/\r?\n/).filter(l => l.trim() !== '');
+    const ti = lines.findIndex(l => l.includes('-->'));
+    if (ti < 0) continue;
+    const [from, to] = lines[ti].split('-->');
+    const cueText = joinWords(lines.slice(ti + 1).map(l => l.trim())).replace(/<[^>]+>/g, '').trim();
+    if (cueText) {
+      segments.push({ text: cueText, start: parseSrtTime(from), end: parseSrtTime(to.trim().split(/\s+/)[0]) });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Load the secondary track from a path (.srt or words.json) or parsed
+ * words.json data. Returns { language, units: [{ text, start, end, segment }] }
+ * or null without input.
+ */
+function loadSecondary(input) {
+  if (!input) return null;
+  let raw = input;
+  if (typeof input === 'string') {
+    if (!fs.existsSync(input)) throw new InputError(`Secondary words file not found: ${input}`);
+    const text = fs.readFileSync(input, 'utf8');
+    if (path.extname(input).toLowerCase() === '.srt') {
+      return { language: null, units: parseSrt(text).map(s => Object.assign(s, { segment: true })) };
+    }
+    try {
+      raw = JSON.parse(text);
+    } catch (err) {
+      throw new InputError(`Cannot parse secondary words ${input}: ${err.message}`);
+    }
+  }
+
+  const data = Array.isArray(raw) ? { words: raw } : raw;
+  const units = Array.isArray(data.segments)
+    ? data.segments.map(s => ({ text: String(s.text).trim(), start: s.start, end: s.end, segment: true }))
+    : (data.words || []).map(w => ({ text: String(w.word).trim(), start: w.start, end: w.end, segment: false }));
+  return { language: data.language || null, units: units.filter(u => u.text) };
+}
+
+// ---------------------------------------------------------------------------
+// Alignment
+// ---------------------------------------------------------------------------
+const overlap = (a, b) => Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+
+/**
+ * Attach `secondary: { text, lang }` to each chunk the track overlaps.
+ * Returns new chunk objects; chunks without secondary text are unchanged.
+ */
+function alignSecondary(chunks, track, lang) {
+  if (!track || chunks.length === 0) return chunks;
+  const texts = chunks.map(() => []);
+
+  for (const unit of track.units) {
+    if (unit.segment) {
+      // Shown with every chunk it covers a fair share of (either way round)
+      chunks.forEach((chunk, i) => {
+        const o = overlap(unit, chunk);
+        if (o > 0 && (o >= 0.25 * (chunk.end - chunk.start) || o >= 0.5 * (unit.end - unit.start))) {
+          texts[i].push(unit.text);
+        }
+      });
+      continue;
+    }
+    // Words go to the chunk they overlap most, else the nearest one
+    let best = 0, bestScore = -Infinity;
+    chunks.forEach((chunk, i) => {
+      const mid = (unit.start + unit.end) / 2;
+      const score = overlap(unit, chunk) || -Math.min(Math.abs(mid - chunk.start), Math.abs(mid - chunk.end));
+      if (score > bestScore) { best = i; bestScore = score; }
+    });
+    texts[best].push(unit.text);
+  }
+
+  return chunks.map((chunk, i) => (texts[i].length > 0
+    ? Object.assign({}, chunk, { secondary: { text: joinWords(texts[i]), lang } })
+    : chunk));
+}
+
+// ---------------------------------------------------------------------------
+// Style and layout
+// ---------------------------------------------------------------------------
+function secondaryStyle(style) {
+  const text = style.text || {};
+  const sec  = style.secondary || {};
+  return {
+    fontFamily:  sec.fontFamily  || text.fontFamily || 'Arial, sans-serif',
+    fontWeight:  sec.fontWeight  || text.fontWeight || 'bold',
+    fontSize:    sec.fontSize    || Math.round((text.fontSize || 90) * 0.55),
+    color:       sec.color       || '#FFFFFF',
+    strokeColor: sec.strokeColor || text.strokeColor || '#000000',
+    strokeWidth: sec.strokeWidth != null ? sec.strokeWidth : Math.round((text.strokeWidth || 12) * 0.6),
+    lineHeight:  sec.lineHeight  || text.lineHeight || 1.3,
+    gap:         sec.gap != null ? sec.gap : Math.round((text.fontSize || 90) * 0.3),
+    position:    sec.position    || 'below',
+  };
+}
+
+/**
+ * Wrap the chunk's secondary text and stack it against the primary layout
+ * (from layoutChunk), moving the primary lines if needed so both tracks stay
+ * inside the safe area. The secondary font shrinks with the primary one.
+ *
+ * Returns { fontSize, lines: [{ y, text }] }, or null without secondary text.
+ */
+function layoutSecondary(chunk, style, layout, measurer) {
+  if (!chunk.secondary || layout.lines.length === 0) return null;
+  const W = (style.video && style.video.width)  || 1080;
+  const H = (style.video && style.video.height) || 1920;
+  const safe     = safeArea(style);
+  const sec      = secondaryStyle(style);
+  const shrink   = layout.fontSize / ((style.text && style.text.fontSize) || 90);
+  const fontSize = sec.fontSize * shrink;
+  const maxWidth = W - safe.left - safe.right - sec.strokeWidth;
+
+  // Greedy wrap by measured width, on spaces and between CJK characters
+  const space = measurer.width(' ', fontSize);
+  const lines = [];
+  for (const token of breakTokens(chunk.secondary.text)) {
+    const w = measurer.width(token, fontSize);
+    const line = lines[lines.length - 1];
+    const sep = line ? separator(line.last, token) : '';
+    const gap = sep ? space : 0;
+    if (line && line.width + gap + w <= maxWidth) {
+      line.text += sep + token;
+      line.width += gap + w;
+      line.last = token;
+    } else {
+      lines.push({ text: token, width: w, last: token });
+    }
+  }
+
+  const lineHeightPx = fontSize * sec.lineHeight;
+  const height = lines.length * lineHeightPx;
+  const gap    = sec.gap * shrink;
+  const top    = layout.top;
+  const bottom = layout.top + layout.height;
+
+  // Stack, then shift both tracks back inside the safe area if they spill
+  let secTop, shift = 0;
+  if (sec.position === 'above') {
+    secTop = top - gap - height;
+    if (secTop < safe.top) shift = Math.min(safe.top - secTop, Math.max(0, H - safe.bottom - bottom));
+  } else {
+    secTop = bottom + gap;
+    const spill = secTop + height - (H - safe.bottom);
+    if (spill > 0) shift = -Math.min(spill, Math.max(0, top - safe.top));
+  }
+  for (const line of layout.lines) line.y += shift;
+
+  return {
+    fontSize,
+    lines: lines.map((line, i) => ({ y: secTop + shift + i * lineHeightPx + lineHeightPx / 2, text: line.text })),
+  };
+}
+
+module.exports = {
+  parseSrt,
+  loadSecondary,
+  alignSecondary,
+  secondaryStyle,
+  layoutSecondary,
+};
@@ -0,0 +1,98 @@
+/**
+ * speakers.js
+ * Speaker-aware subtitles. Words may carry a `speaker` field (from
+ * words.json or from a --speakers sidecar file), chunks never mix speakers,
+ * and style.speakers gives each speaker its own look:
+ *
+ *   "speakers": {
+ *     "host":  { "color": "#FFFFFF", "highlight": "#FFD700", "positionY": 0.25 },
+ *     "guest": { "color": "#7FD1FF", "highlight": "#FF7AB6", "positionY": 0.75 }
+ *   }
+ *
+ * The sidecar maps time ranges to speakers, so no diarization model is
+ * needed. Times are seconds or "m:ss(.ms)" / "h:mm:ss(.ms)" strings:
+ *
+ *   [
+ *     { "start": 0,      "end": "0:42.5", "speaker": "host" },
+ *     { "start": "0:42.5", "end": "1:30", "speaker": "guest" }
+ *   ]
+ *
+ * A word takes the speaker of the range containing its midpoint; words
+ * outside every range keep the speaker they already had, if any.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { InputError } = require('./errors');
+
+// 12.5 | "42.5" | "1:02.5" | "1:00:02.5" → seconds
+function parseTime(value, where) {
+  if (typeof value === 'number' && value >= 0) return value;
+  if (typeof value === 'string' && /^\d+(?::\d{1,2}){0,2}(?:\.\d+)?$/.test(value.trim())) {
+    return value.trim().split(':').reduce((acc, part) => acc * 60 + parseFloat(part), 0);
+  }
+  throw new InputError(`Invalid speakers file: ${where} must be seconds or "m:ss", got ${JSON.stringify(value)}`);
+}
+
+/**
+ * Load a speakers sidecar (path or already-parsed array) into
+ * [{ start, end, speaker }] sorted by start. Returns null without input.
+ */
+function loadSpeakerRanges(input) {
+  if (!input) return null;
+  let raw = input;
+  if (typeof input === 'string') {
+    if (!fs.existsSync(input)) throw new InputError(`Speakers file not found: ${input}`);
+    try {
+      raw = JSON.parse(fs.readFileSync(input, 'utf8'));
+    } catch (err) {
+      throw new InputError(`Cannot parse speakers file ${input}: ${err.message}`);
+    }
+  }
+  if (!Array.isArray(raw)) throw new InputError('Invalid speakers file: expected an array of { start, end, speaker }');
+
+  return raw.map((r, i) => {
+    if (!r || typeof r.speaker !== 'string' || !r.speaker) {
+      throw new InputError(`Invalid speakers file: [${i}].speaker must be a non-empty string`);
+    }
+    const start = parseTime(r.start, `[${i}].start`);
+    const end   = parseTime(r.end, `[${i}].end`);
+    if (end <= start) throw new InputError(`Invalid speakers file: [${i}] ends before it starts`);
+    return { start, end, speaker: r.speaker };
+  }).sort((a, b) => a.start - b.start);
+}
+
+// Label each word with the speaker of the range containing its midpoint
+function assignSpeakers(words, ranges) {
+  if (!ranges || ranges.length === 0) return words;
+  return words.map(w => {
+    const mid = (w.start + w.end) / 2;
+    const range = ranges.find(r => mid >= r.start && mid < r.end);
+    return range && range.speaker !== w.speaker ? Object.assign({}, w, { speaker: range.speaker }) : w;
+  });
+}
+
+/**
+ * The style to draw a chunk with: style.speakers[speaker] layered over the
+ * text/highlight sections. Returns `style` itself when nothing applies.
+ */
+function speakerStyle(style, speaker) {
+  const entry = speaker != null && style.speakers && style.speakers[speaker];
+  if (!entry) return style;
+
+  const text      = Object.assign({}, style.text);
+  const highlight = Object.assign({}, style.highlight);
+  if (entry.color)             text.color            = entry.color;
+  if (entry.strokeColor)       text.strokeColor      = entry.strokeColor;
+  if (entry.positionY != null) text.positionY        = entry.positionY;
+  if (entry.highlight)         highlight.color       = entry.highlight;
+  if (entry.highlightStroke)   highlight.strokeColor = entry.highlightStroke;
+  return Object.assign({}, style, { text, highlight });
+}
+
+module.exports = {
+  loadSpeakerRanges,
+  assignSpeakers,
+  speakerStyle,
+};
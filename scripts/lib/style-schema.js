@@ -0,0 +1,312 @@
+/**
+ * style-schema.js
+ * JSON-schema-style description of video-style.json and a small validator for
+ * it. Only the keywords this schema needs are supported: type, enum, minimum,
+ * maximum, integer, minItems, items, properties, additionalProperties (false
+ * or a schema), oneOf and a "color" format.
+ *
+ * validateStyle() collects every problem (unknown keys with a "did you mean"
+ * hint, bad colors, out-of-range numbers) and throws one StyleError listing
+ * them all, before any rendering starts.
+ */
+
+'use strict';
+
+const { StyleError } = require('./errors');
+
+const color = { type: 'string', format: 'color' };
+const num   = (minimum, maximum) => ({ type: 'number', minimum, maximum });
+const int   = (minimum, maximum) => ({ type: 'integer', minimum, maximum });
+const str   = { type: 'string' };
+const bool  = { type: 'boolean' };
+const oneOf = (...values) => ({ type: 'string', enum: values });
+const obj   = properties => ({ type: 'object', properties, additionalProperties: false });
+
+const TRANSITION_TYPES = ['none', 'fade', 'pop', 'slide-up', 'bounce'];
+const EASING_NAMES = ['linear', 'ease-in', 'ease-out', 'ease-in-out', 'back-out', 'bounce-out'];
+
+const transition = {
+  oneOf: [
+    oneOf(...TRANSITION_TYPES),
+    obj({
+      type:     oneOf(...TRANSITION_TYPES),
+      duration: num(0, 5),
+      easing:   oneOf(...EASING_NAMES),
+      distance: num(0, 4000),
+    }),
+  ],
+};
+
+// Sections that a video.variants entry may override as well
+const text = obj({
+  fontFamily:      str,
+  fontWeight:      { oneOf: [str, int(100, 1000)] },
+  fontSize:        num(8, 500),
+  minFontSize:     num(4, 500),
+  color,
+  strokeColor:     color,
+  strokeWidth:     num(0, 100),
+  lineHeight:      num(0.5, 5),
+  maxWordsPerLine: int(1, 50),
+  maxChunkSize:    int(1, 100),
+  position:        oneOf('top', 'center', 'bottom'),
+  positionY:       num(0, 1),
+  safeMargin:      num(0, 2000),
+});
+
+const highlight = obj({
+  color,
+  strokeColor: color,
+});
+
+const secondary = obj({
+  fontFamily:  str,
+  fontWeight:  { oneOf: [str, int(100, 1000)] },
+  fontSize:    num(8, 500),
+  color,
+  strokeColor: color,
+  strokeWidth: num(0, 100),
+  lineHeight:  num(0.5, 5),
+  gap:         num(0, 1000),
+  position:    oneOf('below', 'above'),
+});
+
+const safeZone = obj({ top: num(0, 4000), right: num(0, 4000), bottom: num(0, 4000), left: num(0, 4000) });
+
+const SCHEMA = obj({
+  extends:     str,
+  description: str,
+
+  background: obj({
+    type:  oneOf('solid', 'gradient', 'image', 'video'),
+    color,
+    src:   str,
+    fit:   oneOf('cover', 'contain'),
+    loop:  bool,
+    start: num(0, 86400),
+    gradient: obj({
+      type:  oneOf('linear', 'radial'),
+      angle: num(-360, 360),
+      cx:    num(0, 1),
+      cy:    num(0, 1),
+      r:     num(0, 10),
+      stops: {
+        type: 'array',
+        minItems: 2,
+        items: {
+          oneOf: [
+            color,
+            obj({ offset: num(0, 1), color, opacity: num(0, 1) }),
+          ],
+        },
+      },
+    }),
+  }),
+
+  text,
+
+  highlight,
+
+  animation: obj({
+    mode:           oneOf('chunk', 'word', 'karaoke'),
+    pauseThreshold: num(0, 10),
+    in:             transition,
+    out:            transition,
+  }),
+
+  karaoke: obj({
+    style: oneOf('jump', 'sweep'),
+  }),
+
+  readability: obj({
+    breakAt:          oneOf('sentence', 'clause', 'none'),
+    maxCharsPerLine:  int(1, 500),
+    maxCharsPerChunk: int(1, 2000),
+    maxCPS:           num(1, 100),
+    minDuration:      num(0, 10),
+    linger:           num(0, 10),
+    balanceLines:     bool,
+  }),
+
+  secondary,
+
+  speakers: {
+    type: 'object',
+    additionalProperties: obj({
+      color,
+      strokeColor:     color,
+      highlight:       color,
+      highlightStroke: color,
+      positionY:       num(0, 1),
+    }),
+  },
+
+  rules: obj({
+    case: oneOf('upper', 'lower', 'none'),
+    profanity: obj({
+      words:     { type: 'array', items: str },
+      file:      str,
+      mask:      str,
+      keepFirst: bool,
+    }),
+    emoji: { type: 'object', additionalProperties: str },
+    emphasis: {
+      type: 'array',
+      items: obj({
+        words:       { type: 'array', items: str },
+        pattern:     str,
+        flags:       str,
+        color,
+        strokeColor: color,
+        scale:       num(0.25, 4),
+      }),
+    },
+  }),
+
+  video: obj({
+    width:  int(16, 8192),
+    height: int(16, 8192),
+    fps:    num(1, 240),
+    codec:  str,
+    preset: oneOf('ultrafast', 'superfast', 'veryfast', 'faster', 'fast',
+                  'medium', 'slow', 'slower', 'veryslow', 'placebo'),
+    crf:    int(0, 63),
+    // Pixels kept clear of platform UI on each edge (see lib/variants.js)
+    safeZone,
+    variants: {
+      type: 'array',
+      items: obj({
+        name:   str,
+        format: oneOf('9x16', '1x1', '4x5', '16x9'),
+        width:  int(16, 8192),
+        height: int(16, 8192),
+        safeZone,
+        text,
+        highlight,
+        secondary,
+      }),
+    },
+  }),
+});
+
+// ---------------------------------------------------------------------------
+// Validator
+// ---------------------------------------------------------------------------
+const COLOR_RE = /^#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Levenshtein distance, for "did you mean" hints on unknown keys
+function distance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function suggest(key, known) {
+  let best = null, bestDist = Infinity;
+  for (const k of known) {
+    const dist = k.toLowerCase() === key.toLowerCase() ? 0 : distance(key, k);
+    if (dist < bestDist) { best = k; bestDist = dist; }
+  }
+  return best && bestDist <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+// Returns an array of "path: message" strings (empty when valid)
+function check(schema, value, at, errors) {
+  if (schema.oneOf) {
+    const attempts = schema.oneOf.map(sub => check(sub, value, at, []));
+    if (!attempts.some(e => e.length === 0)) {
+      // Report the branch whose type matched, else a summary of the options
+      const typed = schema.oneOf.findIndex(sub => sub.type === typeOf(value) ||
+        (sub.type === 'integer' && typeOf(value) === 'number'));
+      if (typed >= 0) errors.push(...attempts[typed]);
+      else errors.push(`${at}: expected ${schema.oneOf.map(describe).join(' or ')}, got ${typeOf(value)}`);
+    }
+    return errors;
+  }
+
+  const actual = typeOf(value);
+  if (schema.type === 'integer') {
+    if (actual !== 'number' || !Number.isInteger(value)) {
+      errors.push(`${at}: expected an integer, got ${JSON.stringify(value)}`);
+      return errors;
+    }
+  } else if (schema.type && actual !== schema.type) {
+    errors.push(`${at}: expected ${schema.type}, got ${actual}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+  if (schema.format === 'color' && !COLOR_RE.test(value)) {
+    errors.push(`${at}: "${value}" is not a hex color like #FFD700`);
+  }
+  if (schema.minimum != null && value < schema.minimum) {
+    errors.push(`${at}: ${value} is below the minimum of ${schema.minimum}`);
+  }
+  if (schema.maximum != null && value > schema.maximum) {
+    errors.push(`${at}: ${value} is above the maximum of ${schema.maximum}`);
+  }
+  if (schema.type === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(`${at}: needs at least ${schema.minItems} items`);
+    }
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, `${at}[${i}]`, errors));
+  }
+  if (schema.type === 'object') {
+    const known = Object.keys(schema.properties || {});
+    for (const key of Object.keys(value)) {
+      const sub = schema.properties && schema.properties[key];
+      const keyPath = at ? `${at}.${key}` : key;
+      if (sub) {
+        check(sub, value[key], keyPath, errors);
+      } else if (schema.additionalProperties === false) {
+        const hint = suggest(key, known);
+        errors.push(`${keyPath}: unknown key${hint ? ` (did you mean "${hint}"?)` : ''}`);
+      } else if (schema.additionalProperties) {
+        check(schema.additionalProperties, value[key], keyPath, errors);
+      }
+    }
+  }
+  return errors;
+}
+
+function describe(schema) {
+  if (schema.enum) return schema.enum.map(v => JSON.stringify(v)).join('/');
+  if (schema.format) return `a ${schema.format}`;
+  return schema.type === 'object' ? 'an object' : `a ${schema.type}`;
+}
+
+/**
+ * Throw a StyleError listing every problem in `style`; `source` names the
+ * style in the message (e.g. the file path or preset name).
+ */
+function validateStyle(style, source = 'style') {
+  const errors = check(SCHEMA, style, '', []);
+  if (errors.length > 0) {
+    const err = new StyleError(`Invalid ${source}:\n  - ${errors.join('\n  - ')}`);
+    err.errors = errors;
+    throw err;
+  }
+  return style;
+}
+
+module.exports = {
+  SCHEMA,
+  validateStyle,
+};
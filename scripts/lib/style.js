@@ -0,0 +1,105 @@
+/**
+ * style.js
+ * Style resolution: named presets from references/presets/, `extends`
+ * inheritance and per-field overrides.
+ *
+ * A style (file or object) may name a preset to build on:
+ *
+ *   { "extends": "hormozi", "text": { "fontSize": 110 } }
+ *
+ * Objects are merged key by key, so only the overridden fields need to be
+ * given; arrays (e.g. gradient stops) and scalars replace the inherited value.
+ * `--preset` is the same thing from the command line — the preset is the
+ * base and the --style file, if any, is layered on top of it.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { StyleError } = require('./errors');
+const { validateStyle } = require('./style-schema');
+
+const PRESETS_DIR = path.join(__dirname, '..', '..', 'references', 'presets');
+
+const isPlainObject = v => v != null && typeof v === 'object' && !Array.isArray(v);
+
+function deepMerge(base, override) {
+  const out = Object.assign({}, base);
+  for (const [key, value] of Object.entries(override || {})) {
+    out[key] = isPlainObject(value) && isPlainObject(out[key])
+      ? deepMerge(out[key], value)
+      : value;
+  }
+  return out;
+}
+
+function listPresets() {
+  if (!fs.existsSync(PRESETS_DIR)) return [];
+  return fs.readdirSync(PRESETS_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => path.basename(f, '.json'))
+    .sort();
+}
+
+// Read a style file, turning JSON syntax errors into StyleErrors
+function readStyleFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new StyleError(`Cannot parse style ${file}: ${err.message}`);
+  }
+}
+
+// Resolve `extends` chains; `seen` guards against presets extending each other
+function resolveExtends(style, source, seen) {
+  validateStyle(style, source);
+  if (!style.extends) return style;
+  const { extends: parent } = style;
+  const own = Object.assign({}, style);
+  delete own.extends;
+  return deepMerge(loadPreset(parent, seen), own);
+}
+
+/**
+ * Load a preset by name, with its own `extends` chain already applied.
+ */
+function loadPreset(name, seen = []) {
+  if (seen.includes(name)) {
+    throw new StyleError(`Preset inheritance loop: ${seen.concat(name).join(' → ')}`);
+  }
+  const file = path.join(PRESETS_DIR, `${name}.json`);
+  if (!/^[\w-]+$/.test(name) || !fs.existsSync(file)) {
+    throw new StyleError(`Unknown preset "${name}" (available: ${listPresets().join(', ')})`);
+  }
+  return resolveExtends(readStyleFile(file), `preset "${name}"`, seen.concat(name));
+}
+
+/**
+ * resolveStyle({ style, preset }) → the validated, fully merged style object.
+ *
+ *   style   path to a style JSON file (missing → {}) or a style object
+ *   preset  optional preset name used as the base under `style`
+ */
+function resolveStyle({ style = null, preset = null } = {}) {
+  let own = {};
+  let source = 'style';
+  if (isPlainObject(style)) {
+    own = style;
+  } else if (typeof style === 'string') {
+    source = `style ${style}`;
+    if (fs.existsSync(style)) own = readStyleFile(style);
+  }
+
+  const merged = resolveExtends(own, source, []);
+  if (!preset) return merged;
+  return deepMerge(loadPreset(preset), merged);
+}
+
+module.exports = {
+  PRESETS_DIR,
+  deepMerge,
+  listPresets,
+  loadPreset,
+  resolveStyle,
+};
@@ -0,0 +1,307 @@
+/**
+ * subtitles.js
+ * Serialises subtitle chunks (as produced by buildChunks()) into SRT, WebVTT
+ * and styled ASS text. Pure string building — no sharp/ffmpeg required.
+ */
+
+'use strict';
+
+const { UsageError } = require('./errors');
+const { speakerStyle } = require('./speakers');
+const { secondaryStyle } = require('./secondary');
+const { separator } = require('./bidi');
+const { readability, splitLines } = require('./chunking');
+
+// ---------------------------------------------------------------------------
+// Timestamp formatting
+// ---------------------------------------------------------------------------
+function pad(n, width) { return String(n).padStart(width, '0'); }
+
+function splitTime(seconds) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  return {
+    h:  Math.floor(totalMs / 3600000),
+    m:  Math.floor(totalMs / 60000) % 60,
+    s:  Math.floor(totalMs / 1000) % 60,
+    ms: totalMs % 1000,
+  };
+}
+
+// 00:00:01,250
+function srtTime(seconds) {
+  const t = splitTime(seconds);
+  return `${pad(t.h, 2)}:${pad(t.m, 2)}:${pad(t.s, 2)},${pad(t.ms, 3)}`;
+}
+
+// 00:00:01.250
+function vttTime(seconds) {
+  const t = splitTime(seconds);
+  return `${pad(t.h, 2)}:${pad(t.m, 2)}:${pad(t.s, 2)}.${pad(t.ms, 3)}`;
+}
+
+// 0:00:01.25 (centiseconds)
+function assTime(seconds) {
+  const totalCs = Math.max(0, Math.round(seconds * 100));
+  const h  = Math.floor(totalCs / 360000);
+  const m  = Math.floor(totalCs / 6000) % 60;
+  const s  = Math.floor(totalCs / 100) % 60;
+  const cs = totalCs % 100;
+  return `${h}:${pad(m, 2)}:${pad(s, 2)}.${pad(cs, 2)}`;
+}
+
+// ---------------------------------------------------------------------------
+// Line splitting — mirrors the wrapping in buildSvg() (maxWordsPerLine,
+// readability.maxCharsPerLine and line balancing), with character counts
+// standing in for measured widths
+// ---------------------------------------------------------------------------
+function chunkLines(chunk, style) {
+  const r = readability(style);
+  return splitLines(chunk.words, {
+    maxUnits: (style.text && style.text.maxWordsPerLine) || 2,
+    maxChars: r.maxCharsPerLine,
+    balance:  r.balanceLines,
+    textOf:   w => w.word,
+    widthOf:  w => Array.from(w.word).length,
+    gapOf:    (a, b) => separator(a.word, b.word).length,
+  });
+}
+
+// Join a line's words, each rendered by `render`, with a space between
+// them except where CJK (or another script without spaces) meets
+function joinLine(line, render) {
+  return line.map((w, i) => (i > 0 ? separator(line[i - 1].word, w.word) : '') + render(w)).join('');
+}
+
+// ---------------------------------------------------------------------------
+// SRT
+// ---------------------------------------------------------------------------
+// A secondary track (chunk.secondary) is added as one more line under the text
+function buildSrt(chunks, style) {
+  return chunks.map((chunk, i) => {
+    const text = chunkLines(chunk, style)
+      .map(line => joinLine(line, w => w.word))
+      .concat(chunk.secondary ? [chunk.secondary.text] : [])
+      .join('\n');
+    return `${i + 1}\n${srtTime(chunk.start)} --> ${srtTime(chunk.end)}\n${text}\n`;
+  }).join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// WebVTT
+// ---------------------------------------------------------------------------
+function escapeVtt(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Speaker labels become <v> voice spans, which players can show or style;
+// a secondary track is a last line tagged with its language when known
+function buildVtt(chunks, style) {
+  const cues = chunks.map(chunk => {
+    const voice = chunk.speaker != null ? `<v ${escapeVtt(chunk.speaker)}>` : '';
+    const sec   = chunk.secondary;
+    const secLine = sec && (sec.lang
+      ? `<lang ${escapeVtt(sec.lang)}>${escapeVtt(sec.text)}</lang>`
+      : escapeVtt(sec.text));
+    const text = chunkLines(chunk, style)
+      .map(line => joinLine(line, w => escapeVtt(w.word)))
+      .concat(secLine ? [secLine] : [])
+      .join('\n');
+    return `${vttTime(chunk.start)} --> ${vttTime(chunk.end)}\n${voice}${text}\n`;
+  });
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// ASS (Advanced SubStation Alpha)
+// ---------------------------------------------------------------------------
+
+// '#RRGGBB' → '&H00BBGGRR' (ASS colours are little-endian with alpha first,
+// and ASS alpha is transparency: 00 is opaque). #RGB and #RRGGBBAA also work.
+function assColor(hex, fallback) {
+  const { rgb, alpha } = parseHex(hex) || parseHex(fallback);
+  const r = rgb.slice(0, 2), g = rgb.slice(2, 4), b = rgb.slice(4, 6);
+  return `&H${alpha}${b}${g}${r}`.toUpperCase();
+}
+
+// Inline override form (\1c etc.) — colour only, no alpha
+function assInlineColor(hex, fallback) {
+  return `&H${assColor(hex, fallback).slice(4)}&`;
+}
+
+function parseHex(hex) {
+  const m = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(String(hex || ''));
+  if (!m) return null;
+  let rgb = m[1];
+  if (rgb.length === 3) rgb = rgb.split('').map(c => c + c).join('');
+  const alpha = rgb.length === 8
+    ? (255 - parseInt(rgb.slice(6), 16)).toString(16).padStart(2, '0')
+    : '00';
+  return { rgb: rgb.slice(0, 6), alpha };
+}
+
+// Braces start override blocks and backslashes start tags, so swap them for
+// look-alike full-width characters rather than let words inject markup.
+function escapeAss(str) {
+  return String(str)
+    .replace(/\\/g, '＼')
+    .replace(/\{/g, '｛')
+    .replace(/\}/g, '｝')
+    .replace(/\r?\n/g, ' ');
+}
+
+// Inline override for a word marked by style.rules.emphasis: its colour goes
+// in the unsung (secondary) slot for karaoke so the highlight still sweeps
+// over it, otherwise in the fill; {\r} resets to the line's style after it.
+function emphasizeAss(w, text, karaoke) {
+  if (!w.emphasis) return text;
+  const e = w.emphasis;
+  let tags = `\\${karaoke ? 2 : 1}c${assInlineColor(e.color, '#FFD700')}`;
+  if (e.strokeColor) tags += `\\3c${assInlineColor(e.strokeColor, '#000000')}`;
+  if (e.scale && e.scale !== 1) {
+    const pct = Math.round(e.scale * 100);
+    tags += `\\fscx${pct}\\fscy${pct}`;
+  }
+  return `{${tags}}${text}{\\r}`;
+}
+
+// Style and actor names are comma-separated fields
+function assName(str) {
+  return String(str).replace(/[,\s]+/g, ' ').trim();
+}
+
+function buildAss(chunks, style, mode) {
+  const W = (style.video && style.video.width)  || 1080;
+  const H = (style.video && style.video.height) || 1920;
+
+  const fontFamily  = (style.text && style.text.fontFamily)  || 'Arial, sans-serif';
+  const fontWeight  = (style.text && style.text.fontWeight)  || 'bold';
+  const fontSize    = (style.text && style.text.fontSize)    || 90;
+  const strokeWidth = (style.text && style.text.strokeWidth) || 12;
+
+  // ASS takes a single font name; use the first family in the CSS stack
+  const fontName = fontFamily.split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+  const bold     = (fontWeight === 'bold' || parseInt(fontWeight, 10) >= 600) ? -1 : 0;
+  // SVG strokes are centred on the glyph edge (paint-order puts half under the
+  // fill), so the visible outline is half the configured stroke width
+  const outline  = Math.round(strokeWidth / 2);
+
+  // In karaoke mode \k sweeps from SecondaryColour to PrimaryColour, so the
+  // highlight goes in Primary and the resting text colour in Secondary.
+  const karaoke   = mode === 'karaoke';
+  // \kf sweeps the fill across the syllable, matching karaoke.style "sweep"
+  const kTag      = (style.karaoke && style.karaoke.style) === 'sweep' ? 'kf' : 'k';
+
+  const styleLine = (name, st) => {
+    const fillColor   = (st.text && st.text.color)           || '#FFFFFF';
+    const strokeColor = (st.text && st.text.strokeColor)     || '#000000';
+    const hlColor     = (st.highlight && st.highlight.color) || '#FFD700';
+    const primary   = assColor(karaoke ? hlColor : fillColor, '#FFFFFF');
+    const secondary = assColor(karaoke ? fillColor : hlColor, '#FFD700');
+    const outlineC  = assColor(strokeColor, '#000000');
+    return `Style: ${name},${fontName},${fontSize},${primary},${secondary},${outlineC},&H00000000,` +
+      `${bold},0,0,0,100,100,0,0,1,${outline},0,5,0,0,0,1`;
+  };
+
+  // One extra ASS style per speaker that style.speakers gives its own look
+  const speakers = [...new Set(chunks.map(c => c.speaker))]
+    .filter(name => name != null && style.speakers && style.speakers[name]);
+  const styleName = speaker => (speakers.includes(speaker) ? `Speaker-${assName(speaker)}` : 'Default');
+
+  // The secondary track gets its own style, anchored by its top edge (\an8)
+  // just under the primary lines, or by its bottom edge (\an2) above them
+  const sec = secondaryStyle(style);
+  const hasSecondary = chunks.some(c => c.secondary);
+  const secondaryLine = () => {
+    const primary = assColor(sec.color, '#FFFFFF');
+    const outlineC = assColor(sec.strokeColor, '#000000');
+    const secBold = (sec.fontWeight === 'bold' || parseInt(sec.fontWeight, 10) >= 600) ? -1 : 0;
+    const secFont = sec.fontFamily.split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+    return `Style: Secondary,${secFont},${sec.fontSize},${primary},${primary},${outlineC},&H00000000,` +
+      `${secBold},0,0,0,100,100,0,0,1,${Math.round(sec.strokeWidth / 2)},0,${sec.position === 'above' ? 2 : 8},0,0,0,1`;
+  };
+
+  const header = [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${W}`,
+    `PlayResY: ${H}`,
+    'WrapStyle: 2',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, ' +
+      'Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, ' +
+      'Alignment, MarginL, MarginR, MarginV, Encoding',
+    styleLine('Default', style),
+    ...speakers.map(name => styleLine(styleName(name), speakerStyle(style, name))),
+    ...(hasSecondary ? [secondaryLine()] : []),
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+  ];
+
+  const events = chunks.flatMap(chunk => {
+    const st        = speakerStyle(style, chunk.speaker);
+    const positionY = (st.text && st.text.positionY) || 0.5;
+    const pos   = `{\\an5\\pos(${Math.round(W / 2)},${Math.round(H * positionY)})}`;
+    const lines = chunkLines(chunk, style);
+    let text;
+    if (karaoke) {
+      // Each \k duration covers the word plus any silence before the next one,
+      // so the sweep stays aligned with the spoken timing.
+      let cursor = chunk.start;
+      text = lines.map(line => joinLine(line, w => {
+        const lead = Math.max(0, Math.round((w.start - cursor) * 100));
+        const dur  = Math.max(1, Math.round((w.end - Math.max(w.start, cursor)) * 100));
+        cursor = w.end;
+        return (lead > 0 ? `{\\k${lead}}` : '') + `{\\${kTag}${dur}}${emphasizeAss(w, escapeAss(w.word), true)}`;
+      })).join('\\N');
+    } else {
+      text = lines.map(line => joinLine(line, w => emphasizeAss(w, escapeAss(w.word), false))).join('\\N');
+    }
+    const name = chunk.speaker != null ? assName(chunk.speaker) : '';
+    const times = `${assTime(chunk.start)},${assTime(chunk.end)}`;
+    const out = [`Dialogue: 0,${times},${styleName(chunk.speaker)},${name},0,0,0,,${pos}${text}`];
+
+    if (chunk.secondary) {
+      // Approximate the primary block height from the line count
+      const half  = lines.length * fontSize * ((style.text && style.text.lineHeight) || 1.3) / 2;
+      const above = sec.position === 'above';
+      const y     = Math.round(H * positionY + (above ? -1 : 1) * (half + sec.gap));
+      out.push(`Dialogue: 0,${times},Secondary,${name},0,0,0,,` +
+        `{\\an${above ? 2 : 8}\\pos(${Math.round(W / 2)},${y})}${escapeAss(chunk.secondary.text)}`);
+    }
+    return out;
+  });
+
+  return header.concat(events).join('\n') + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// Dispatch by format name
+// ---------------------------------------------------------------------------
+const FORMATS = ['srt', 'vtt', 'ass'];
+
+function buildSubtitles(format, chunks, style, mode) {
+  switch (format) {
+    case 'srt': return buildSrt(chunks, style);
+    case 'vtt': return buildVtt(chunks, style);
+    case 'ass': return buildAss(chunks, style, mode);
+    default:
+      throw new UsageError(`Unknown subtitle format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  buildSubtitles,
+  buildSrt,
+  buildVtt,
+  buildAss,
+  srtTime,
+  vttTime,
+  assTime,
+};
@@ -0,0 +1,325 @@
+/**
+ * telegram-api.js
+ * Minimal Telegram Bot API client shared by the bot scripts.
+ *
+ * The API base URL defaults to https://api.telegram.org and can point at a
+ * self-hosted Bot API server or a local mock (TELEGRAM_API_BASE or
+ * --api-base); both http: and https: work. Methods and file downloads use
+ * `${base}/bot<token>/<method>` and `${base}/file/bot<token>/<path>`.
+ *
+ * request() also fetches links users send (telegram-media.js); with
+ * `publicOnly` it refuses hosts that resolve to loopback, private,
+ * link-local or other non-public addresses, on every redirect hop.
+ */
+
+'use strict';
+
+const fs    = require('fs');
+const path  = require('path');
+const dns   = require('dns');
+const net   = require('net');
+const https = require('https');
+const http  = require('http');
+const { URL } = require('url');
+
+const DEFAULT_API_BASE = 'https://api.telegram.org';
+const MAX_REDIRECTS = 5;
+
+function apiBaseFromEnv() {
+  return process.env.TELEGRAM_API_BASE || DEFAULT_API_BASE;
+}
+
+// ---------------------------------------------------------------------------
+// HTTP helpers
+// ---------------------------------------------------------------------------
+function libFor(url) {
+  return url.protocol === 'https:' ? https : http;
+}
+
+// Address ranges a user-sent link may not reach: "this" network, private,
+// carrier-grade NAT, loopback, link-local (cloud metadata), documentation,
+// benchmarking, multicast and reserved. One list per family: a BlockList
+// matches IPv4 addresses against IPv4-mapped IPv6 rules too
+const blockList = (family, ranges) => {
+  const list = new net.BlockList();
+  for (const [prefix, bits] of ranges) list.addSubnet(prefix, bits, family);
+  return list;
+};
+const NON_PUBLIC_V4 = blockList('ipv4', [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]);
+const NON_PUBLIC_V6 = blockList('ipv6', [
+  ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]);
+
+function isPublicAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1, or ::ffff:7f00:1 as URLs write it)
+  // is checked as the IPv4 address
+  const mapped = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+  if (mapped) {
+    address = mapped[1] || [mapped[2], mapped[3]]
+      .map(h => parseInt(h, 16)).flatMap(n => [n >> 8, n & 255]).join('.');
+  }
+  const family = net.isIP(address);
+  if (family === 4) return !NON_PUBLIC_V4.check(address, 'ipv4');
+  return family === 6 && !NON_PUBLIC_V6.check(address, 'ipv6');
+}
+
+function privateAddressError(host) {
+  const err = new Error(`${host} is not a public address`);
+  err.code = 'ENOTPUBLIC';
+  return err;
+}
+
+// dns.lookup that fails for non-public addresses. Passed to the request
+// itself, so the address checked is the one connected to
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const all = Array.isArray(address) ? address : [{ address, family }];
+    if (all.some(a => !isPublicAddress(a.address))) return callback(privateAddressError(hostname));
+    callback(null, address, family);
+  });
+}
+
+// Why `url` may not be fetched with publicOnly, or null. IP literals never
+// go through a lookup, so they are checked here
+function publicOnlyError(url) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return privateAddressError(`${url.protocol} URL`);
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || (net.isIP(host) && !isPublicAddress(host))) return privateAddressError(host);
+  return null;
+}
+
+/**
+ * Send a request and collect the response body. `body` is a Buffer or null.
+ * `signal` (an AbortSignal) cancels the request, e.g. a long poll on
+ * shutdown. A response over `maxBytes` is cut off with an ETOOLARGE error.
+ * GET redirects are followed up to `maxRedirects` times (ETOOMANYREDIRECTS
+ * past that); `publicOnly` fails non-public targets with ENOTPUBLIC.
+ * Resolves to { statusCode, headers, body }.
+ */
+function request(urlStr, { method = 'GET', headers = {}, body = null, timeoutMs = 0, signal = null,
+                           maxBytes = Infinity, maxRedirects = MAX_REDIRECTS, publicOnly = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(urlStr);
+    const options = { method, headers };
+    if (publicOnly) {
+      const blocked = publicOnlyError(url);
+      if (blocked) return reject(blocked);
+      options.lookup = publicLookup;
+    }
+    const req = libFor(url).request(url, options, res => {
+      if (method === 'GET' && res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (maxRedirects <= 0) return reject(redirectError(urlStr));
+        return resolve(request(new URL(res.headers.location, url).toString(),
+          { headers, timeoutMs, signal, maxBytes, maxRedirects: maxRedirects - 1, publicOnly }));
+      }
+      const chunks = [];
+      let received = 0;
+      res.on('data', c => {
+        received += c.length;
+        if (received > maxBytes) return req.destroy(tooLargeError(maxBytes));
+        chunks.push(c);
+      });
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      res.on('error', reject);
+    });
+    if (timeoutMs) req.setTimeout(timeoutMs, () => req.destroy(new Error(`Request timed out after ${timeoutMs} ms`)));
+    if (signal) {
+      if (signal.aborted) return req.destroy(abortError());
+      signal.addEventListener('abort', () => req.destroy(abortError()), { once: true });
+    }
+    req.on('error', reject);
+    req.end(body || undefined);
+  });
+}
+
+function tooLargeError(maxBytes) {
+  const err = new Error(`Response is larger than ${maxBytes} bytes`);
+  err.code = 'ETOOLARGE';
+  return err;
+}
+
+function redirectError(urlStr) {
+  const err = new Error(`Too many redirects, last from ${urlStr}`);
+  err.code = 'ETOOMANYREDIRECTS';
+  return err;
+}
+
+function abortError() {
+  const err = new Error('Request aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * POST multipart/form-data, streaming each file from disk. The length is
+ * known up front, so large videos never sit in memory.
+ */
+function postMultipart(urlStr, fields, files) {
+  const boundary = '----FormBoundary' + Math.random().toString(36).slice(2);
+  const parts = [];
+  for (const [name, value] of Object.entries(fields)) {
+    if (value == null) continue;
+    parts.push(Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="${name}"\r\n\r\n` +
+      `${typeof value === 'object' ? JSON.stringify(value) : value}\r\n`, 'utf8'));
+  }
+  for (const [name, filePath] of Object.entries(files)) {
+    const fileName = path.basename(filePath);
+    const type = /\.jpe?g$/i.test(fileName) ? 'image/jpeg' : /\.mp4$/i.test(fileName) ? 'video/mp4' : 'application/octet-stream';
+    parts.push(Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="${name}"; filename="${fileName}"\r\n` +
+      `Content-Type: ${type}\r\n\r\n`, 'utf8'));
+    parts.push({ path: filePath, size: fs.statSync(filePath).size });
+    parts.push(Buffer.from('\r\n', 'utf8'));
+  }
+  parts.push(Buffer.from(`--${boundary}--\r\n`, 'utf8'));
+  const length = parts.reduce((n, p) => n + (Buffer.isBuffer(p) ? p.length : p.size), 0);
+
+  return new Promise((resolve, reject) => {
+    const url = new URL(urlStr);
+    const req = libFor(url).request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': length },
+    }, res => {
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+
+    (async () => {
+      for (const part of parts) {
+        if (Buffer.isBuffer(part)) {
+          if (!req.write(part)) await new Promise(r => req.once('drain', r));
+          continue;
+        }
+        await new Promise((done, fail) => {
+          const stream = fs.createReadStream(part.path);
+          req.once('error', () => stream.destroy());
+          stream.on('error', fail);
+          stream.on('end', done);
+          stream.pipe(req, { end: false });
+        });
+      }
+      req.end();
+    })().catch(err => req.destroy(err));
+  });
+}
+
+// The `result` of a Bot API response; errors carry the HTTP status and
+// Telegram's description
+function parseResult(method, res) {
+  let json = null;
+  try {
+    json = JSON.parse(res.body.toString('utf8'));
+  } catch (e) { /* not JSON, e.g. a proxy's 413 page */ }
+  if (json && json.ok) return json.result;
+  const description = json ? json.description : `HTTP ${res.statusCode}, not JSON`;
+  const err = new Error(`Telegram API error [${method}]: ${description}`);
+  err.statusCode = res.statusCode;
+  err.description = description;
+  // e.g. { retry_after: 30 } on a 429
+  err.parameters = (json && json.parameters) || {};
+  throw err;
+}
+
+// Simple GET that returns the body as a Buffer (follows redirects)
+async function httpGet(urlStr) {
+  const res = await request(urlStr);
+  if (res.statusCode >= 400) throw new Error(`HTTP ${res.statusCode} for ${urlStr}`);
+  return res.body;
+}
+
+// ---------------------------------------------------------------------------
+// Client
+// ---------------------------------------------------------------------------
+
+/**
+ * createTelegramApi({ token, apiBase }) → {
+ *   call(method, params, { timeoutMs, signal })   JSON POST, resolves to `result`
+ *   fileUrl(filePath)                             download URL for getFile's file_path
+ *   download(fileId, dest)                        getFile + save to `dest`, resolves to bytes
+ *   upload(method, fields, files)                 streamed multipart upload
+ *   sendVideo(chatId, videoPath, options)         see below
+ *   sendDocument(chatId, filePath, options)
+ * }
+ */
+function createTelegramApi({ token, apiBase = apiBaseFromEnv() }) {
+  const base = String(apiBase).replace(/\/+$/, '');
+
+  async function call(method, params = {}, { timeoutMs = 0, signal = null } = {}) {
+    const body = Buffer.from(JSON.stringify(params), 'utf8');
+    const res = await request(`${base}/bot${token}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': body.length },
+      body,
+      timeoutMs,
+      signal,
+    });
+    return parseResult(method, res);
+  }
+
+  const fileUrl = filePath => `${base}/file/bot${token}/${filePath}`;
+
+  async function download(fileId, dest) {
+    const fileInfo = await call('getFile', { file_id: fileId });
+    const data = await httpGet(fileUrl(fileInfo.file_path));
+    fs.mkdirSync(path.dirname(path.resolve(dest)), { recursive: true });
+    fs.writeFileSync(dest, data);
+    return data.length;
+  }
+
+  /**
+   * Upload files with multipart/form-data, streaming them from disk.
+   * `fields` are plain values (objects are sent as JSON); `files` maps a
+   * field name to a path. Resolves to `result`.
+   */
+  async function upload(method, fields, files) {
+    const res = await postMultipart(`${base}/bot${token}/${method}`, fields, files);
+    return parseResult(method, res);
+  }
+
+  // sendVideo with the player details; `thumbnail` is a JPEG path
+  function sendVideo(chatId, videoPath, { caption, replyTo, width, height, duration, thumbnail } = {}) {
+    return upload('sendVideo', {
+      chat_id: chatId,
+      caption,
+      reply_to_message_id: replyTo,
+      allow_sending_without_reply: replyTo ? true : undefined,
+      width, height,
+      duration: duration ? Math.round(duration) : undefined,
+      supports_streaming: true,
+    }, thumbnail ? { video: videoPath, thumbnail } : { video: videoPath });
+  }
+
+  function sendDocument(chatId, filePath, { caption, replyTo, thumbnail } = {}) {
+    return upload('sendDocument', {
+      chat_id: chatId,
+      caption,
+      reply_to_message_id: replyTo,
+      allow_sending_without_reply: replyTo ? true : undefined,
+    }, thumbnail ? { document: filePath, thumbnail } : { document: filePath });
+  }
+
+  return { base, call, fileUrl, download, upload, sendVideo, sendDocument };
+}
+
+module.exports = {
+  DEFAULT_API_BASE,
+  apiBaseFromEnv,
+  request,
+  isPublicAddress,
+  httpGet,
+  createTelegramApi,
+};
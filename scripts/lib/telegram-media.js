@@ -0,0 +1,216 @@
+/**
+ * telegram-media.js
+ * What the bot accepts and how it gets it onto disk:
+ *
+ *   voice, audio, audio documents        → audio
+ *   video, video_note, video documents   → video; the audio track is extracted
+ *                                          with ffmpeg and the picture can be
+ *                                          reused as the background
+ *   text with a direct http(s) link to an audio or video file (by extension)
+ *
+ * Anything else, and files over the size limit, get an explanation instead
+ * of a job. The cloud Bot API only serves files up to 20 MB; with a
+ * self-hosted server raise the limit via --max-file-mb or
+ * TELEGRAM_MAX_FILE_MB. Linked files are held to the same limit.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { request } = require('./telegram-api');
+const { InputError, DependencyError } = require('./errors');
+
+const MAX_FILE_MB = 20;
+
+const EXT_MAP = {
+  'audio/ogg':  'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4':  'm4a',
+  'audio/wav':  'wav',
+  'audio/x-wav': 'wav',
+  'audio/flac': 'flac',
+  'audio/aac':  'aac',
+  'audio/webm': 'webm',
+  'video/mp4':  'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm',
+  'video/x-matroska': 'mkv',
+};
+const AUDIO_EXTS = ['mp3', 'm4a', 'wav', 'ogg', 'oga', 'opus', 'flac', 'aac'];
+const VIDEO_EXTS = ['mp4', 'mov', 'm4v', 'webm', 'mkv'];
+
+const URL_RE = /https?:\/\/[^\s<>"]+/i;
+
+// Message parts that carry something the bot can't use
+const UNSUPPORTED = ['text', 'photo', 'sticker', 'animation', 'document', 'contact', 'location', 'venue', 'poll', 'dice'];
+
+function maxFileMB() {
+  return parseFloat(process.env.TELEGRAM_MAX_FILE_MB) || MAX_FILE_MB;
+}
+
+const mb = bytes => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// ---------------------------------------------------------------------------
+// Classification
+// ---------------------------------------------------------------------------
+
+// { kind, file_id, file_name, mime_type, duration_sec, file_size } for a
+// Telegram attachment
+function attachment(kind, media, fileName, mimeType) {
+  return {
+    kind,
+    file_id:      media.file_id,
+    file_name:    media.file_name || fileName,
+    mime_type:    media.mime_type || mimeType,
+    duration_sec: media.duration || 0,
+    file_size:    media.file_size || null,
+  };
+}
+
+// The first direct media link in `text` as a file, or an error reply
+function linkedFile(text) {
+  const match = URL_RE.exec(text);
+  if (!match) return null;
+  let url;
+  try {
+    url = new URL(match[0].replace(/[).,;!?]+$/, ''));
+  } catch (e) {
+    return { error: 'That link doesn\'t look valid.' };
+  }
+  const name = path.basename(decodeURIComponent(url.pathname)) || 'download';
+  const ext  = path.extname(name).slice(1).toLowerCase();
+  const kind = AUDIO_EXTS.includes(ext) ? 'audio' : VIDEO_EXTS.includes(ext) ? 'video' : null;
+  if (!kind) {
+    return {
+      error: 'I can only fetch direct links to audio or video files ' +
+        `(${AUDIO_EXTS.concat(VIDEO_EXTS).map(e => '.' + e).join(', ')}). ` +
+        'Links to web pages or streaming sites don\'t work — send the file instead.',
+    };
+  }
+  return { file: { kind, url: url.toString(), file_name: name, mime_type: null, duration_sec: 0, file_size: null } };
+}
+
+/**
+ * What to do with a (non-command) message: { file } to queue, { error } to
+ * reply with, or null to ignore it (service messages and the like).
+ * Attachments over `maxMB` are refused up front.
+ */
+function mediaFile(msg, maxMB = maxFileMB()) {
+  let file = null;
+  if (msg.voice) file = attachment('audio', msg.voice, 'voice.ogg', 'audio/ogg');
+  else if (msg.audio) file = attachment('audio', msg.audio, 'audio.mp3', 'audio/mpeg');
+  else if (msg.video) file = attachment('video', msg.video, 'video.mp4', 'video/mp4');
+  else if (msg.video_note) file = attachment('video', msg.video_note, 'video_note.mp4', 'video/mp4');
+  else if (msg.document && /^(audio|video)\//.test(msg.document.mime_type || '')) {
+    file = attachment(msg.document.mime_type.split('/')[0], msg.document, 'file', null);
+  } else if (msg.text) {
+    const linked = linkedFile(msg.text);
+    if (linked) return linked;
+  }
+
+  if (file) {
+    if (file.file_size && file.file_size > maxMB * 1024 * 1024) {
+      return { error: `This file is ${mb(file.file_size)}; I can only process files up to ${maxMB} MB. Try a shorter clip.` };
+    }
+    return { file };
+  }
+  if (UNSUPPORTED.some(key => msg[key])) {
+    return {
+      error: 'I can only work with voice messages, audio files, videos, video notes, ' +
+        'or a direct link to an audio file. Send /help for the commands.',
+    };
+  }
+  return null;
+}
+
+function fileExt(file) {
+  return EXT_MAP[file.mime_type] || path.extname(file.file_name).slice(1).toLowerCase() ||
+    (file.kind === 'video' ? 'mp4' : 'mp3');
+}
+
+// ---------------------------------------------------------------------------
+// Fetching
+// ---------------------------------------------------------------------------
+
+// Download a linked file, refusing anything over `maxBytes` and hosts that
+// aren't on the public internet (the runner's own network, cloud metadata)
+async function downloadUrl(url, dest, maxBytes) {
+  let res;
+  try {
+    res = await request(url, { timeoutMs: 120000, maxBytes, publicOnly: true });
+  } catch (err) {
+    if (err.code === 'ETOOLARGE') {
+      throw new InputError(`The linked file is over the ${mb(maxBytes)} limit. Try a shorter clip.`);
+    }
+    if (err.code === 'ENOTPUBLIC') {
+      throw new InputError('That link points to a private or local address; I can only fetch public files.');
+    }
+    if (err.code === 'ETOOMANYREDIRECTS') {
+      throw new InputError('That link redirects too many times; send a direct link to the file.');
+    }
+    throw err;
+  }
+  if (res.statusCode >= 400 && res.statusCode < 500) {
+    throw new InputError(`The link returned HTTP ${res.statusCode}; make sure the file is publicly downloadable.`);
+  }
+  if (res.statusCode >= 300) throw new Error(`HTTP ${res.statusCode} for ${url}`);
+  if (/^text\/html/i.test(res.headers['content-type'] || '')) {
+    throw new InputError('The link points to a web page, not an audio or video file.');
+  }
+  fs.mkdirSync(path.dirname(path.resolve(dest)), { recursive: true });
+  fs.writeFileSync(dest, res.body);
+  return res.body.length;
+}
+
+// Extract the audio track of a video with ffmpeg
+function extractAudio(videoPath, audioPath) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('ffmpeg', [
+      '-y', '-i', videoPath,
+      '-vn', '-c:a', 'aac', '-b:a', '192k',
+      audioPath,
+    ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+    let stderr = '';
+    proc.stderr.on('data', d => { stderr += d.toString(); });
+    proc.on('error', err => reject(new DependencyError(`Failed to start ffmpeg: ${err.message}`)));
+    proc.on('close', code => {
+      if (code === 0) return resolve(audioPath);
+      if (/does not contain any stream|matches no streams/i.test(stderr)) {
+        return reject(new InputError('This video has no sound, so there is nothing to subtitle.'));
+      }
+      const last = stderr.trim().split('\n').pop();
+      reject(new Error(`ffmpeg could not extract the audio (exit ${code}): ${last}`));
+    });
+  });
+}
+
+/**
+ * Put a queued file on disk next to `base` (a path without extension) and
+ * resolve to { audio, video, bytes }. Audio lands in `${base}.<ext>`; a
+ * video lands in `${base}-source.<ext>` with its sound extracted to
+ * `${base}.m4a`. Bad input (too large, no sound, dead link) throws
+ * InputError, which is not worth retrying.
+ */
+async function fetchMedia(api, file, base, { maxMB = maxFileMB() } = {}) {
+  const ext   = fileExt(file);
+  const input = file.kind === 'video' ? `${base}-source.${ext}` : `${base}.${ext}`;
+  const bytes = file.url
+    ? await downloadUrl(file.url, input, maxMB * 1024 * 1024)
+    : await api.download(file.file_id, input);
+
+  if (file.kind !== 'video') return { audio: input, video: null, bytes };
+  const audio = await extractAudio(input, `${base}.m4a`);
+  return { audio, video: input, bytes };
+}
+
+module.exports = {
+  MAX_FILE_MB,
+  maxFileMB,
+  mediaFile,
+  fileExt,
+  fetchMedia,
+  extractAudio,
+};
@@ -0,0 +1,134 @@
+/**
+ * telegram-queue.js
+ * Persistent job queue for the Telegram bot: one job per media message, kept
+ * in a JSON file next to the polling offset (references/telegram-queue.json)
+ * so nothing received in a polling window is lost between runs.
+ *
+ *   pending ──claim──▶ processing ──complete──▶ done
+ *      ▲                    │
+ *      └──── fail (retry) ──┤
+ *                           └── fail (attempts used up) ──▶ failed
+ *
+ * Jobs are processed oldest first (by update_id). A job still marked
+ * processing when the queue is loaded belongs to a run that died; recover()
+ * counts that as a failed attempt.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const QUEUE_FILE   = path.join(__dirname, '..', '..', 'references', 'telegram-queue.json');
+const MAX_ATTEMPTS = 3;
+const KEEP_FINISHED = 50;   // done/failed jobs kept for reference
+
+function loadQueue(file = QUEUE_FILE) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { jobs: Array.isArray(data.jobs) ? data.jobs : [] };
+  } catch (e) {
+    return { jobs: [] };
+  }
+}
+
+function saveQueue(queue, file = QUEUE_FILE) {
+  // Drop the oldest finished jobs; pending/processing ones are always kept
+  const finished = queue.jobs.filter(j => j.state === 'done' || j.state === 'failed');
+  const drop = new Set(finished.slice(0, Math.max(0, finished.length - KEEP_FINISHED)));
+  queue.jobs = queue.jobs.filter(j => !drop.has(j));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(queue, null, 2) + '\n', 'utf8');
+}
+
+const now = () => new Date().toISOString();
+
+/**
+ * Add a job for `update` (a Telegram update) carrying `file` (see
+ * lib/telegram-media.js mediaFile()) and the chat's render `settings` at
+ * the time it arrived (lib/telegram-settings.js). Updates already queued are
+ * ignored. Returns the job, or null if it was a duplicate.
+ */
+function enqueue(queue, update, file, settings = null) {
+  if (queue.jobs.some(j => j.id === update.update_id)) return null;
+  const msg = update.message;
+  const job = {
+    id:         update.update_id,
+    chat_id:    msg.chat.id,
+    message_id: msg.message_id,
+    file,
+    settings,
+    state:      'pending',
+    attempts:   0,
+    error:      null,
+    created_at: now(),
+    updated_at: now(),
+  };
+  queue.jobs.push(job);
+  queue.jobs.sort((a, b) => a.id - b.id);
+  return job;
+}
+
+function findJob(queue, id) {
+  return queue.jobs.find(j => j.id === Number(id)) || null;
+}
+
+// Mark the oldest pending job as processing and return it (null when idle)
+function claimNext(queue) {
+  const job = queue.jobs.find(j => j.state === 'pending');
+  if (!job) return null;
+  job.state = 'processing';
+  job.attempts += 1;
+  job.updated_at = now();
+  return job;
+}
+
+function complete(queue, id) {
+  const job = findJob(queue, id);
+  if (!job) return null;
+  job.state = 'done';
+  job.error = null;
+  job.updated_at = now();
+  return job;
+}
+
+/**
+ * Record a failed attempt. The job goes back to pending while it has
+ * attempts left, else it is failed for good; `permanent` (bad input that
+ * no retry can fix) fails it at once. Returns the job.
+ */
+function fail(queue, id, error, maxAttempts = MAX_ATTEMPTS, { permanent = false } = {}) {
+  const job = findJob(queue, id);
+  if (!job) return null;
+  job.error = String(error || 'unknown error');
+  job.state = permanent || job.attempts >= maxAttempts ? 'failed' : 'pending';
+  job.updated_at = now();
+  return job;
+}
+
+// Jobs left processing by a run that never finished count as failed attempts
+function recover(queue, maxAttempts = MAX_ATTEMPTS) {
+  return queue.jobs
+    .filter(j => j.state === 'processing')
+    .map(j => fail(queue, j.id, 'interrupted before finishing', maxAttempts));
+}
+
+function counts(queue) {
+  const out = { pending: 0, processing: 0, done: 0, failed: 0 };
+  for (const j of queue.jobs) out[j.state] = (out[j.state] || 0) + 1;
+  return out;
+}
+
+module.exports = {
+  QUEUE_FILE,
+  MAX_ATTEMPTS,
+  loadQueue,
+  saveQueue,
+  enqueue,
+  findJob,
+  claimNext,
+  complete,
+  fail,
+  recover,
+  counts,
+};
@@ -0,0 +1,192 @@
+/**
+ * telegram-settings.js
+ * Per-chat preferences for the Telegram bot, changed with text commands and
+ * stored next to the polling offset (references/telegram-settings.json):
+ *
+ *   /mode karaoke      chunk | word | karaoke
+ *   /style neon        default, or a preset from references/presets
+ *   /lang es           transcription language, or auto
+ *   /format 1x1        9x16 | 1x1 | 4x5 | 16x9
+ *   /background plain  video (a sent video's picture) | plain (the style's)
+ *   /settings          show the chat's settings
+ *   /reset             back to the defaults
+ *   /help
+ *
+ * A caption on an audio or video message (or the text around a link)
+ * overrides the settings for that message only, e.g. "karaoke neon" or
+ * "word lang:es 1x1 plain". The language has to be spelled out (lang:es,
+ * /lang es or #es): plain words such as "it" or "no" are language codes too.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { listPresets } = require('./style');
+const { FORMATS } = require('./variants');
+
+const SETTINGS_FILE = path.join(__dirname, '..', '..', 'references', 'telegram-settings.json');
+
+const DEFAULTS = { mode: 'chunk', style: 'default', lang: 'auto', format: '9x16', background: 'video' };
+const MODES = ['chunk', 'word', 'karaoke'];
+const BACKGROUNDS = ['video', 'plain'];
+
+// Language names for replies; #code in a caption only accepts these (any
+// code works with /lang and lang:)
+const LANG_NAMES = {
+  en: 'English', es: 'Spanish', fr: 'French', de: 'German',
+  it: 'Italian', pt: 'Portuguese', ru: 'Russian', ar: 'Arabic',
+  zh: 'Chinese', ja: 'Japanese', ko: 'Korean', hi: 'Hindi',
+  tr: 'Turkish', pl: 'Polish', nl: 'Dutch', sv: 'Swedish',
+  fa: 'Persian', he: 'Hebrew', ur: 'Urdu', uk: 'Ukrainian',
+  id: 'Indonesian', vi: 'Vietnamese', th: 'Thai',
+};
+function langName(code) { return LANG_NAMES[code] || code; }
+
+const styles  = () => ['default', ...listPresets()];
+const formats = () => Object.keys(FORMATS);
+
+// ---------------------------------------------------------------------------
+// Storage
+// ---------------------------------------------------------------------------
+function loadSettings(file = SETTINGS_FILE) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { chats: data.chats || {} };
+  } catch (e) {
+    return { chats: {} };
+  }
+}
+
+function saveSettings(settings, file = SETTINGS_FILE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(settings, null, 2) + '\n', 'utf8');
+}
+
+function chatSettings(settings, chatId) {
+  return Object.assign({}, DEFAULTS, settings.chats[String(chatId)]);
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+// Returns an error message for a bad value, or null
+function checkValue(key, value) {
+  const oneOf = list => (list.includes(value) ? null : `Unknown ${key} "${value}". Choose one of: ${list.join(', ')}`);
+  switch (key) {
+    case 'mode':   return oneOf(MODES);
+    case 'style':  return oneOf(styles());
+    case 'format': return oneOf(formats());
+    case 'background': return oneOf(BACKGROUNDS);
+    case 'lang':
+      return value === 'auto' || /^[a-z]{2,3}$/.test(value) ? null
+        : `Unknown language "${value}". Use a code such as en, es or de, or "auto".`;
+    default:       return `Unknown setting "${key}"`;
+  }
+}
+
+/**
+ * One-off overrides from a message's caption: every word that names a mode,
+ * style, format or background, and a language given as lang:es, /lang es or
+ * #es (#code for the LANG_NAMES codes and auto). Links and other words are
+ * ignored.
+ */
+function captionOverrides(caption) {
+  const out = {};
+  const words = String(caption || '').toLowerCase().split(/[\s,]+/)
+    .filter(word => word && !/^https?:\/\//.test(word));
+  words.forEach((word, i) => {
+    const lang = /^lang:(.+)$/.exec(word);
+    if (MODES.includes(word))                 out.mode   = word;
+    else if (styles().includes(word))         out.style  = word;
+    else if (formats().includes(word))        out.format = word;
+    else if (BACKGROUNDS.includes(word))      out.background = word;
+    else if (lang && !checkValue('lang', lang[1])) out.lang = lang[1];
+    else if (word === '/lang' && words[i + 1] && !checkValue('lang', words[i + 1])) out.lang = words[i + 1];
+    else if (/^#/.test(word) && (LANG_NAMES[word.slice(1)] || word === '#auto')) out.lang = word.slice(1);
+  });
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+// "/mode@MyBot karaoke" → { command: 'mode', arg: 'karaoke' }, or null
+function parseCommand(text) {
+  const m = /^\/([a-z_]+)(?:@\w+)?(?:\s+(.*))?$/is.exec(String(text || '').trim());
+  return m ? { command: m[1].toLowerCase(), arg: (m[2] || '').trim().toLowerCase() } : null;
+}
+
+function describe(s) {
+  return [
+    `🎬 Mode: ${s.mode}`,
+    `🎨 Style: ${s.style}`,
+    `🌍 Language: ${s.lang === 'auto' ? 'auto-detect' : langName(s.lang)}`,
+    `📐 Format: ${s.format}`,
+    `🖼 Background: ${s.background === 'video' ? 'the sent video' : 'plain'}`,
+  ].join('\n');
+}
+
+function helpText() {
+  return [
+    'Send me a voice message, audio file, video, video note or a direct link to an audio file, ' +
+      'and I\'ll reply with a subtitled video.',
+    '',
+    `/mode <${MODES.join('|')}>`,
+    `/style <${styles().join('|')}>`,
+    '/lang <code|auto> — e.g. /lang es',
+    `/format <${formats().join('|')}>`,
+    `/background <${BACKGROUNDS.join('|')}> — keep a sent video's picture, or use the style's background`,
+    '/settings — show your settings',
+    '/reset — back to the defaults',
+    '',
+    'A caption overrides your settings for that message only, e.g. "karaoke neon lang:es".',
+  ].join('\n');
+}
+
+/**
+ * Apply a parsed command for a chat, updating `settings` in place. Returns
+ * the reply text, or null for commands the bot doesn't know.
+ */
+function applyCommand(settings, chatId, { command, arg }) {
+  const key = String(chatId);
+  switch (command) {
+    case 'start':
+    case 'help':
+      return helpText();
+    case 'settings':
+      return describe(chatSettings(settings, chatId));
+    case 'reset':
+      delete settings.chats[key];
+      return `Settings reset.\n${describe(DEFAULTS)}`;
+    case 'mode':
+    case 'style':
+    case 'lang':
+    case 'format':
+    case 'background': {
+      if (!arg) return `Current ${command}: ${chatSettings(settings, chatId)[command]}\nUsage: /${command} <value>`;
+      const error = checkValue(command, arg);
+      if (error) return `⚠️ ${error}`;
+      settings.chats[key] = Object.assign({}, settings.chats[key], { [command]: arg });
+      return `✅ ${command} set to ${arg}.\n\n${describe(chatSettings(settings, chatId))}`;
+    }
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  SETTINGS_FILE,
+  DEFAULTS,
+  LANG_NAMES,
+  langName,
+  loadSettings,
+  saveSettings,
+  chatSettings,
+  captionOverrides,
+  parseCommand,
+  applyCommand,
+  helpText,
+};
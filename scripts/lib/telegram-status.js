@@ -0,0 +1,135 @@
+/**
+ * telegram-status.js
+ * A status message that follows a job through the pipeline: posted as a
+ * reply to the user's message on the first update, then edited in place
+ * with editMessageText ("🎧 Transcribing…", "🎬 Rendering 42%…"), and
+ * removed once the video is sent.
+ *
+ * The message id is kept on the job (status_message_id), so retries and the
+ * workflow's separate processes all edit the same message. Progress edits
+ * are throttled; stage changes always go through. Every call is
+ * best-effort — a status that can't be shown never fails the job; the
+ * warning goes to the caller's `logger` ({ log, warn }, silent by default).
+ */
+
+'use strict';
+
+const { cliProgress } = require('./pipeline');
+
+const MIN_INTERVAL_MS = 3000;
+const silentLogger    = { log() {}, warn() {} };
+
+const STAGES = {
+  queued:     '⏳ Queued…',
+  download:   '⏬ Downloading…',
+  transcribe: '🎧 Transcribing…',
+  render:     '🎬 Rendering…',
+  upload:     '📤 Uploading…',
+};
+
+/**
+ * createStatus(api, job) → { messageId, set(text), progress(text), settled(), remove() }
+ * `job` needs chat_id and message_id, and may carry status_message_id from
+ * an earlier attempt; new ids are written back to it. Options:
+ * minIntervalMs (progress throttle) and logger (gets the warnings).
+ */
+function createStatus(api, job, { minIntervalMs = MIN_INTERVAL_MS, logger = silentLogger } = {}) {
+  let lastText = null;
+  let lastAt = 0;
+  let chain = Promise.resolve();
+
+  const send = text => {
+    chain = chain.then(async () => {
+      if (text === lastText) return;
+      try {
+        if (job.status_message_id) {
+          await api.call('editMessageText', { chat_id: job.chat_id, message_id: job.status_message_id, text });
+        } else {
+          const msg = await api.call('sendMessage', {
+            chat_id: job.chat_id,
+            text,
+            reply_to_message_id: job.message_id,
+            allow_sending_without_reply: true,
+          });
+          job.status_message_id = msg.message_id;
+        }
+        lastText = text;
+      } catch (err) {
+        // "message is not modified" just means nothing changed
+        if (!/not modified/i.test(err.message)) {
+          logger.warn(`WARNING: could not update the status message: ${err.message}`);
+        }
+      }
+    });
+    return chain;
+  };
+
+  return {
+    get messageId() { return job.status_message_id || null; },
+
+    // A new stage: shown right away (accepts a STAGES key or any text)
+    set(text) {
+      lastAt = Date.now();
+      return send(STAGES[text] || text);
+    },
+
+    // Progress within a stage: dropped if the last edit was too recent
+    progress(text) {
+      if (Date.now() - lastAt < minIntervalMs) return chain;
+      lastAt = Date.now();
+      return send(text);
+    },
+
+    // Resolves once every queued edit has been sent
+    settled() {
+      return chain;
+    },
+
+    remove() {
+      chain = chain.then(async () => {
+        if (!job.status_message_id) return;
+        try {
+          await api.call('deleteMessage', { chat_id: job.chat_id, message_id: job.status_message_id });
+        } catch (err) {
+          logger.warn(`WARNING: could not delete the status message: ${err.message}`);
+        }
+        job.status_message_id = null;
+      });
+      return chain;
+    },
+  };
+}
+
+// Status text for a generateVideo() progress event, or null
+function progressText(ev) {
+  if (ev.stage === 'frames' && ev.total) return `🎬 Rendering ${Math.floor((ev.rendered / ev.total) * 100)}%…`;
+  if (ev.stage === 'ffmpeg') return `🎞 Encoding ${Math.floor(ev.percent)}%…`;
+  return null;
+}
+
+// The same for a line of generate-video.js CLI output
+function progressLine(line) {
+  const ev = cliProgress(line);
+  return ev ? progressText(ev) : null;
+}
+
+/**
+ * Settle the status message once a job's attempt is recorded: removed when
+ * the job is done or failed for good (the error reply says why), or turned
+ * into a retry notice while it has attempts left.
+ */
+function finishStatus(api, job, maxAttempts, { logger = silentLogger } = {}) {
+  const status = createStatus(api, job, { logger });
+  if (job.state === 'pending') {
+    return status.set(`⚠️ Attempt ${job.attempts} of ${maxAttempts} failed (${job.error}). I'll try again shortly.`);
+  }
+  return status.remove();
+}
+
+module.exports = {
+  STAGES,
+  createStatus,
+  progressText,
+  progressLine,
+  finishStatus,
+};
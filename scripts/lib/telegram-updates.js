@@ -0,0 +1,153 @@
+/**
+ * telegram-updates.js
+ * Turns Telegram updates into queued jobs. Shared by the one-shot poller
+ * (telegram-poll.js) and the long-running bot (telegram-bot.js):
+ *
+ *   - settings commands are answered (lib/telegram-settings.js)
+ *   - every audio, video or audio link (lib/telegram-media.js) becomes a
+ *     job (lib/telegram-queue.js) with the chat's settings plus any caption
+ *     overrides; anything else gets a reply saying what the bot accepts
+ *   - the polling offset is kept in references/telegram-offset.json
+ *
+ * Replies go through a client from lib/telegram-api.js.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const queueLib = require('./telegram-queue');
+const settingsLib = require('./telegram-settings');
+const media = require('./telegram-media');
+const { createStatus, finishStatus } = require('./telegram-status');
+
+const OFFSET_FILE = path.join(__dirname, '..', '..', 'references', 'telegram-offset.json');
+
+// ---------------------------------------------------------------------------
+// Offset
+// ---------------------------------------------------------------------------
+function loadOffset(file = OFFSET_FILE) {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data.offset || 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+function saveOffset(offset, file = OFFSET_FILE) {
+  fs.writeFileSync(file, JSON.stringify({ offset }, null, 2) + '\n', 'utf8');
+}
+
+function allowedChatId() {
+  return process.env.TELEGRAM_ALLOWED_CHAT_ID
+    ? parseInt(process.env.TELEGRAM_ALLOWED_CHAT_ID, 10)
+    : null;
+}
+
+// ---------------------------------------------------------------------------
+// Replies
+// ---------------------------------------------------------------------------
+
+// Command replies are best-effort: a failed send must not stop the queue
+async function sendText(api, msg, text) {
+  try {
+    await api.call('sendMessage', { chat_id: msg.chat.id, text, reply_to_message_id: msg.message_id });
+  } catch (err) {
+    console.error(`WARNING: could not reply to chat ${msg.chat.id}: ${err.message}`);
+  }
+}
+
+// Reply to the job's original message with a failure notice
+function sendError(api, meta, error) {
+  return api.call('sendMessage', {
+    chat_id: meta.chat_id,
+    text: `❌ Sorry, I couldn't turn this into a subtitled video.\n${error}`,
+    reply_to_message_id: meta.message_id,
+    allow_sending_without_reply: true,
+  });
+}
+
+// Tell the user a job has failed for good; a failed notice must not mask
+// the original error
+async function notifyFailed(api, job) {
+  try {
+    await sendError(api, job, job.error);
+  } catch (err) {
+    console.error(`WARNING: could not send error reply for job ${job.id}: ${err.message}`);
+  }
+}
+
+/**
+ * After an attempt is recorded: tell the user if the job failed for good,
+ * and settle its status message (lib/telegram-status.js). The caller saves
+ * the queue afterwards, since the job's status_message_id may change.
+ */
+async function reportOutcome(api, job, maxAttempts) {
+  if (job.state === 'failed') await notifyFailed(api, job);
+  await finishStatus(api, job, maxAttempts, { logger: console });
+}
+
+// ---------------------------------------------------------------------------
+// Intake
+// ---------------------------------------------------------------------------
+
+/**
+ * In the order received: answer commands, queue every audio/video message
+ * or audio link with its chat's settings (plus any caption overrides), and
+ * explain anything else — including files over `maxMB`. New jobs get a
+ * "Queued" status message. Updates from chats other than `allowedChat`
+ * (when set) are ignored. `settings` is updated in place; the caller saves
+ * it along with the queue and offset. Returns the number of new jobs.
+ */
+async function handleUpdates(api, updates, { queue, settings, allowedChat = null, maxMB = media.maxFileMB() }) {
+  let queued = 0;
+  for (const u of updates || []) {
+    const msg = u.message;
+    if (!msg) continue;
+    if (allowedChat && msg.chat.id !== allowedChat) continue;
+
+    const command = settingsLib.parseCommand(msg.text);
+    if (command) {
+      const reply = settingsLib.applyCommand(settings, msg.chat.id, command) ||
+        `Unknown command /${command.command}. Send /help for the list.`;
+      await sendText(api, msg, reply);
+      continue;
+    }
+
+    const found = media.mediaFile(msg, maxMB);
+    if (!found) continue;
+    if (found.error) {
+      await sendText(api, msg, `⚠️ ${found.error}`);
+      continue;
+    }
+    // A link's message text works like a caption
+    const caption = msg.caption || (found.file.url ? msg.text : '');
+    const jobSettings = Object.assign(settingsLib.chatSettings(settings, msg.chat.id),
+      settingsLib.captionOverrides(caption));
+    const job = queueLib.enqueue(queue, u, found.file, jobSettings);
+    if (job) {
+      await createStatus(api, job, { logger: console }).set('queued');
+      queued++;
+    }
+  }
+  return queued;
+}
+
+// Offset past all received updates, or `offset` when there were none
+function nextOffset(updates, offset) {
+  return updates && updates.length > 0 ? Math.max(...updates.map(u => u.update_id)) + 1 : offset;
+}
+
+module.exports = {
+  OFFSET_FILE,
+  loadOffset,
+  saveOffset,
+  allowedChatId,
+  sendText,
+  sendError,
+  notifyFailed,
+  reportOutcome,
+  handleUpdates,
+  nextOffset,
+};
@@ -0,0 +1,206 @@
+/**
+ * telegram-upload.js
+ * Delivers a rendered MP4 to a chat:
+ *
+ *   - probes width/height/duration (ffprobe) and grabs a JPEG thumbnail
+ *     (ffmpeg) so Telegram shows a proper player instead of a blank square
+ *   - a video over the upload limit (50 MB on the cloud Bot API; raise it
+ *     for a self-hosted server with --max-upload-mb or TELEGRAM_MAX_UPLOAD_MB)
+ *     is first re-encoded at a bitrate that fits
+ *   - if Telegram rejects it as a video (too large, or a description
+ *     blaming the file), it is sent again as a document; any other API
+ *     error is passed on, after waiting out a 429's retry_after
+ *
+ * Uploads stream from disk (lib/telegram-api.js).
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const { spawn } = require('child_process');
+const { InputError, DependencyError } = require('./errors');
+
+const MAX_UPLOAD_MB  = 50;
+const AUDIO_KBPS     = 128;
+const MIN_VIDEO_KBPS = 200;   // below this a re-encode isn't worth watching
+const THUMB_SIZE     = 320;   // Telegram's thumbnail limit, pixels per side
+const MAX_RATE_WAITS = 3;     // 429s waited out per call before giving up
+const silentLogger   = { log() {}, warn() {} };
+
+// Descriptions meaning the file itself was refused as a video, not the
+// token, chat or rate
+const VIDEO_REJECTED = /video|file|media|thumb|dimension|duration|too (big|large)/i;
+
+function maxUploadMB() {
+  return parseFloat(process.env.TELEGRAM_MAX_UPLOAD_MB) || MAX_UPLOAD_MB;
+}
+
+const mb = bytes => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// ---------------------------------------------------------------------------
+// ffmpeg helpers
+// ---------------------------------------------------------------------------
+function run(cmd, args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(cmd, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let out = '';
+    let err = '';
+    proc.stdout.on('data', d => { out += d.toString(); });
+    proc.stderr.on('data', d => { err += d.toString(); });
+    proc.on('error', e => reject(new DependencyError(`Failed to start ${cmd}: ${e.message}`)));
+    proc.on('close', code => {
+      if (code === 0) resolve(out);
+      else reject(new Error(`${cmd} exited with code ${code}: ${err.trim().split('\n').pop()}`));
+    });
+  });
+}
+
+// { width, height, duration } of a video; missing values are null
+async function probeVideo(videoPath) {
+  try {
+    const out = await run('ffprobe', [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-show_entries', 'stream=width,height:format=duration',
+      '-of', 'json',
+      videoPath,
+    ]);
+    const json = JSON.parse(out);
+    const stream = (json.streams || [])[0] || {};
+    const duration = parseFloat(json.format && json.format.duration);
+    return {
+      width:    stream.width  || null,
+      height:   stream.height || null,
+      duration: isNaN(duration) ? null : duration,
+    };
+  } catch (e) {
+    return { width: null, height: null, duration: null };
+  }
+}
+
+// A JPEG thumbnail from `atSec` into the video (null if ffmpeg fails)
+async function makeThumbnail(videoPath, dest, atSec = 0) {
+  try {
+    await run('ffmpeg', [
+      '-y', '-ss', String(atSec), '-i', videoPath,
+      '-frames:v', '1',
+      '-vf', `scale=${THUMB_SIZE}:${THUMB_SIZE}:force_original_aspect_ratio=decrease`,
+      '-q:v', '5',
+      dest,
+    ]);
+    return fs.existsSync(dest) ? dest : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Re-encode `videoPath` to fit in `maxBytes`: the bitrate is what the
+ * duration allows (with a little headroom), the longer side is capped at
+ * 1280 px. Throws InputError when even that can't fit.
+ */
+async function shrinkVideo(videoPath, dest, maxBytes, duration) {
+  if (!duration) {
+    throw new InputError(`The video is over Telegram's ${mb(maxBytes)} limit and couldn't be compressed (unknown duration).`);
+  }
+  const totalKbps = Math.floor((maxBytes * 0.92 * 8) / duration / 1000);
+  const videoKbps = totalKbps - AUDIO_KBPS;
+  if (videoKbps < MIN_VIDEO_KBPS) {
+    throw new InputError(`The video is too long to fit Telegram's ${mb(maxBytes)} limit at a watchable quality.`);
+  }
+  await run('ffmpeg', [
+    '-y', '-i', videoPath,
+    '-vf', "scale='if(gt(iw,ih),min(1280,iw),-2)':'if(gt(iw,ih),-2,min(1280,ih))'",
+    '-c:v', 'libx264', '-preset', 'fast',
+    '-b:v', `${videoKbps}k`, '-maxrate', `${videoKbps}k`, '-bufsize', `${videoKbps * 2}k`,
+    '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac', '-b:a', `${AUDIO_KBPS}k`,
+    '-movflags', '+faststart',
+    dest,
+  ]);
+  const size = fs.statSync(dest).size;
+  if (size > maxBytes) {
+    throw new InputError(`The video is ${mb(size)} even after compressing; Telegram's limit is ${mb(maxBytes)}.`);
+  }
+  return dest;
+}
+
+// ---------------------------------------------------------------------------
+// Delivery
+// ---------------------------------------------------------------------------
+
+const wait = seconds => new Promise(resolve => setTimeout(resolve, seconds * 1000));
+
+// Whether an API error means "send it some other way" rather than "stop"
+function rejectedAsVideo(err) {
+  if (err.statusCode === 413) return true;
+  return err.statusCode === 400 && VIDEO_REJECTED.test(err.description || '');
+}
+
+// Run an upload, waiting out rate limits (429 + parameters.retry_after)
+async function withRateLimit(send, logger) {
+  for (let waits = 0; ; waits++) {
+    try {
+      return await send();
+    } catch (err) {
+      const retryAfter = err.statusCode === 429 && err.parameters && err.parameters.retry_after;
+      if (!retryAfter || waits >= MAX_RATE_WAITS) throw err;
+      logger.warn(`WARNING: rate limited by Telegram; retrying in ${retryAfter}s`);
+      await wait(retryAfter);
+    }
+  }
+}
+
+/**
+ * Send `videoPath` to `chatId`. `onStage(text)` hears about compressing and
+ * uploading (for a status message); `logger` ({ log, warn }, silent by
+ * default) gets the fallback warning. Resolves to { message, method, file }
+ * — `file` is the path actually sent. Temporary files (thumbnail,
+ * re-encode) are written next to the video and removed afterwards.
+ */
+async function deliverVideo(api, chatId, videoPath, { caption, replyTo, maxMB = maxUploadMB(), onStage = () => {},
+                                                      logger = silentLogger } = {}) {
+  const maxBytes = maxMB * 1024 * 1024;
+  const base = videoPath.replace(/\.mp4$/i, '');
+  const temp = [];
+  try {
+    let file = videoPath;
+    let info = await probeVideo(file);
+
+    const size = fs.statSync(file).size;
+    if (size > maxBytes) {
+      onStage(`🗜 Compressing (${mb(size)} is over ${maxMB} MB)…`);
+      file = await shrinkVideo(file, `${base}-small.mp4`, maxBytes, info.duration);
+      temp.push(file);
+      info = await probeVideo(file);
+    }
+
+    const thumbnail = await makeThumbnail(file, `${base}-thumb.jpg`, Math.min(1, (info.duration || 0) / 2));
+    if (thumbnail) temp.push(thumbnail);
+
+    onStage('📤 Uploading…');
+    const options = Object.assign({ caption, replyTo, thumbnail }, info);
+    try {
+      const message = await withRateLimit(() => api.sendVideo(chatId, file, options), logger);
+      return { message, method: 'sendVideo', file };
+    } catch (err) {
+      // Telegram wouldn't take it as a video: try a plain file. Anything
+      // else (bad token, blocked, no such chat) would fail the same way
+      if (!rejectedAsVideo(err)) throw err;
+      logger.warn(`WARNING: sendVideo rejected (${err.description}); sending as a document instead`);
+      const message = await withRateLimit(() => api.sendDocument(chatId, file, options), logger);
+      return { message, method: 'sendDocument', file };
+    }
+  } finally {
+    for (const f of temp) fs.rmSync(f, { force: true });
+  }
+}
+
+module.exports = {
+  MAX_UPLOAD_MB,
+  maxUploadMB,
+  probeVideo,
+  makeThumbnail,
+  shrinkVideo,
+  deliverVideo,
+};
@@ -0,0 +1,139 @@
+/**
+ * text-rules.js
+ * Per-word text rules (style.rules), applied to the words from words.json
+ * before chunking, so chunk, word and karaoke mode — and the subtitle files —
+ * all show the same text. Word timings are never changed.
+ *
+ *   "rules": {
+ *     "case": "upper",                                   upper | lower | none
+ *     "profanity": { "words": ["damn"], "file": "badwords.txt", "mask": "*" },
+ *     "emoji": { "money": "💰", "fire": "🔥" },         appended after the word
+ *     "emphasis": [
+ *       { "words": ["free", "now"], "color": "#FF3B30", "scale": 1.3 },
+ *       { "pattern": "^\\d+%?$", "color": "#00E5FF" }
+ *     ]
+ *   }
+ *
+ * Words are matched on their original spelling, case-insensitively and
+ * ignoring surrounding punctuation ("Money!" matches "money"). Emphasis rules
+ * are tried in order and the first match wins; the matched word carries
+ * `emphasis: { color, strokeColor, scale }` for the renderer.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { StyleError, InputError } = require('./errors');
+
+// Leading/trailing punctuation around the matchable core of a word
+const EDGE_RE = /^([\p{P}\p{S}]*)(.*?)([\p{P}\p{S}]*)$/su;
+
+function splitWord(word) {
+  const m = EDGE_RE.exec(String(word).trim());
+  return { lead: m[1], core: m[2], trail: m[3] };
+}
+
+const key = str => str.toLocaleLowerCase();
+
+// Wordlist file: one word per line, blank lines and # comments ignored
+function readWordlist(file, styleDir) {
+  const resolved = path.resolve(styleDir || process.cwd(), file);
+  if (!fs.existsSync(resolved)) throw new InputError(`Profanity wordlist not found: ${resolved}`);
+  return fs.readFileSync(resolved, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Compile style.rules once: regexes, word sets and the wordlist file
+ * (resolved relative to styleDir). Returns null when there are no rules.
+ */
+function compileRules(style, styleDir) {
+  const rules = style.rules;
+  if (!rules) return null;
+
+  const emphasis = (rules.emphasis || []).map((rule, i) => {
+    let re = null;
+    if (rule.pattern) {
+      try {
+        // Without g/y, test() keeps no lastIndex state between words
+        re = new RegExp(rule.pattern, (rule.flags != null ? rule.flags : 'iu').replace(/[gy]/g, ''));
+      } catch (err) {
+        throw new StyleError(`rules.emphasis[${i}].pattern: ${err.message}`);
+      }
+    }
+    return {
+      words: new Set((rule.words || []).map(key)),
+      re,
+      emphasis: {
+        color:       rule.color || (style.highlight && style.highlight.color) || '#FFD700',
+        strokeColor: rule.strokeColor || null,
+        scale:       rule.scale || 1,
+      },
+    };
+  });
+
+  const profanity = rules.profanity || null;
+  const badWords = new Set();
+  if (profanity) {
+    for (const w of profanity.words || []) badWords.add(key(w));
+    if (profanity.file) {
+      for (const w of readWordlist(profanity.file, styleDir)) badWords.add(key(w));
+    }
+  }
+
+  const emoji = new Map(Object.entries(rules.emoji || {}).map(([k, v]) => [key(k), v]));
+
+  return {
+    textCase: rules.case || 'none',
+    emphasis,
+    badWords,
+    mask: (profanity && profanity.mask) || '*',
+    keepFirst: !profanity || profanity.keepFirst !== false,
+    emoji,
+  };
+}
+
+function maskWord(core, mask, keepFirst) {
+  const chars = Array.from(core);
+  return chars.map((ch, i) => (keepFirst && i === 0) || !/[\p{L}\p{N}]/u.test(ch) ? ch : mask).join('');
+}
+
+function applyCase(str, textCase) {
+  if (textCase === 'upper') return str.toLocaleUpperCase();
+  if (textCase === 'lower') return str.toLocaleLowerCase();
+  return str;
+}
+
+/**
+ * Return a copy of `words` with style.rules applied to each word's text and
+ * `emphasis` set on matching words. Words without any match are returned
+ * unchanged (same object).
+ */
+function applyTextRules(words, style, styleDir) {
+  const rules = compileRules(style, styleDir);
+  if (!rules) return words;
+
+  return words.map(w => {
+    const { lead, core, trail } = splitWord(w.word);
+    const k = key(core);
+
+    const match = rules.emphasis.find(r => r.words.has(k) || (r.re && r.re.test(core)));
+    let text = rules.badWords.has(k) ? maskWord(core, rules.mask, rules.keepFirst) : core;
+    text = applyCase(lead + text + trail, rules.textCase);
+    if (rules.emoji.has(k)) text += ` ${rules.emoji.get(k)}`;
+
+    if (text === w.word && !match) return w;
+    const out = Object.assign({}, w, { word: text });
+    if (match) out.emphasis = match.emphasis;
+    return out;
+  });
+}
+
+module.exports = {
+  splitWord,
+  compileRules,
+  applyTextRules,
+};
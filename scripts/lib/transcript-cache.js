@@ -0,0 +1,79 @@
+/**
+ * transcript-cache.js
+ * words.json files kept between runs, keyed by a hash of the audio's bytes
+ * plus the Whisper model and requested language. Re-rendering the same audio
+ * with another style or mode then skips transcription entirely.
+ *
+ *   <cacheDir>/transcripts/<sha256 of audio>-<model>-<language>.json
+ *
+ * The cache dir defaults to ~/.cache/audio2mp4 (AUDIO2MP4_CACHE_DIR
+ * overrides it). Rendered frames can share the same dir (frames/, see
+ * lib/frame-renderer.js).
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const crypto = require('crypto');
+const pipeline = require('./pipeline');
+
+// Bumped whenever transcribe.py's output for the same audio changes, so
+// stale transcripts are never reused
+const CACHE_VERSION = 'words-v1';
+
+function defaultCacheDir() {
+  return process.env.AUDIO2MP4_CACHE_DIR || path.join(os.homedir(), '.cache', 'audio2mp4');
+}
+
+// sha256 of a file's contents, streamed
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', d => hash.update(d))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function transcriptPath(cacheDir, audioHash, model, language) {
+  const key = crypto.createHash('sha256').update(CACHE_VERSION).update(audioHash).digest('hex').slice(0, 32);
+  return path.join(cacheDir, 'transcripts', `${key}-${model}-${language}.json`);
+}
+
+/**
+ * Write the transcript of `audio` to `output`, from the cache when there is
+ * one for this audio, model and language, else by running transcribe.py
+ * (lib/pipeline.js) and caching the result. `cacheDir` null disables the
+ * cache. Resolves to { cached, language }.
+ */
+async function transcribeCached({ audio, output, model = 'small', language = 'auto', python, cacheDir, signal, onLine }) {
+  const entry = cacheDir ? transcriptPath(cacheDir, await hashFile(audio), model, language) : null;
+  fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+
+  let cached = false;
+  if (entry && fs.existsSync(entry)) {
+    fs.copyFileSync(entry, output);
+    cached = true;
+  } else {
+    await pipeline.transcribe({ audio, output, model, language, python, signal, onLine });
+    if (entry) {
+      // Write then rename so an interrupted run never leaves a torn entry
+      fs.mkdirSync(path.dirname(entry), { recursive: true });
+      const tmp = `${entry}.${process.pid}.tmp`;
+      fs.copyFileSync(output, tmp);
+      fs.renameSync(tmp, entry);
+    }
+  }
+  const words = JSON.parse(fs.readFileSync(output, 'utf8'));
+  return { cached, language: words.language || null };
+}
+
+module.exports = {
+  defaultCacheDir,
+  hashFile,
+  transcriptPath,
+  transcribeCached,
+};
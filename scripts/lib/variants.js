@@ -0,0 +1,106 @@
+/**
+ * variants.js
+ * Several output formats from one run (--formats 9x16,1x1,16x9 or
+ * style.video.variants). Chunks and frame timing are shared; each variant only
+ * re-lays out, re-renders and re-encodes with its own size and overrides:
+ *
+ *   "video": {
+ *     "variants": [
+ *       { "name": "tiktok",  "format": "9x16" },
+ *       { "name": "feed",    "format": "1x1", "text": { "fontSize": 80 } },
+ *       { "name": "youtube", "format": "16x9", "text": { "positionY": 0.8 },
+ *         "safeZone": { "bottom": 160 } }
+ *     ]
+ *   }
+ *
+ * A variant's `text`, `highlight` and `secondary` blocks override the style;
+ * `safeZone` ({ top, right, bottom, left } in px) keeps captions clear of
+ * platform UI and is combined with text.safeMargin (the larger wins per edge).
+ * Built-in formats bring sensible sizes and safe zones; a variant's own
+ * width/height/safeZone win over them.
+ */
+
+'use strict';
+
+const { UsageError } = require('./errors');
+const { deepMerge } = require('./style');
+
+const FORMATS = {
+  // TikTok / Reels / Shorts: action buttons on the right, caption and
+  // music bar along the bottom
+  '9x16': { width: 1080, height: 1920, safeZone: { top: 160, right: 140, bottom: 420, left: 60 } },
+  // Instagram feed
+  '1x1':  { width: 1080, height: 1080, safeZone: { top: 60, right: 60, bottom: 60, left: 60 } },
+  '4x5':  { width: 1080, height: 1350, safeZone: { top: 60, right: 60, bottom: 100, left: 60 } },
+  // YouTube: progress bar and controls along the bottom; captions sit low
+  '16x9': { width: 1920, height: 1080, safeZone: { top: 60, right: 100, bottom: 150, left: 100 },
+            text: { positionY: 0.8 } },
+};
+
+const OVERRIDES = ['text', 'highlight', 'secondary'];
+
+function variantStyle(base, variant) {
+  const format = variant.format ? FORMATS[variant.format] : null;
+  if (variant.format && !format) {
+    throw new UsageError(`Unknown format "${variant.format}" (expected one of: ${Object.keys(FORMATS).join(', ')})`);
+  }
+  const video = Object.assign({}, base.video, {
+    width:    variant.width  || (format && format.width)  || (base.video && base.video.width),
+    height:   variant.height || (format && format.height) || (base.video && base.video.height),
+    safeZone: Object.assign({}, format && format.safeZone, variant.safeZone),
+  });
+  delete video.variants;
+
+  let style = Object.assign({}, base, { video });
+  if (format && format.text) style = deepMerge(style, { text: format.text });
+  for (const key of OVERRIDES) {
+    if (variant[key]) style = deepMerge(style, { [key]: variant[key] });
+  }
+  return style;
+}
+
+/**
+ * The variants to render, as [{ name, style }], or null for a plain
+ * single-output run. `formats` (from --formats) picks style variants by name
+ * or format, falling back to the built-in formats; without it every
+ * style.video.variants entry is rendered.
+ */
+function resolveVariants(style, formats) {
+  const defined = (style.video && style.video.variants) || [];
+  let picked;
+  if (formats && formats.length > 0) {
+    picked = formats.map(f => {
+      const own = defined.find(v => v.name === f) || defined.find(v => v.format === f);
+      if (own) return own;
+      if (!FORMATS[f]) {
+        throw new UsageError(`Unknown format "${f}" (expected one of: ${Object.keys(FORMATS).join(', ')}` +
+          `${defined.length ? `, or a variant name: ${defined.map(v => v.name).join(', ')}` : ''})`);
+      }
+      return { name: f, format: f };
+    });
+  } else if (defined.length > 0) {
+    picked = defined;
+  } else {
+    return null;
+  }
+
+  const seen = new Set();
+  return picked.map((v, i) => {
+    const name = v.name || v.format || `variant${i + 1}`;
+    if (seen.has(name)) throw new UsageError(`Duplicate output variant "${name}"`);
+    seen.add(name);
+    return { name, style: variantStyle(style, v) };
+  });
+}
+
+// output.mp4 → output-9x16.mp4
+function variantOutput(output, name) {
+  const m = /^(.*?)(\.[^./\\]+)?$/.exec(output);
+  return `${m[1]}-${name}${m[2] || '.mp4'}`;
+}
+
+module.exports = {
+  FORMATS,
+  resolveVariants,
+  variantOutput,
+};
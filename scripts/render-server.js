@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+/**
+ * render-server.js
+ * A small self-hosted HTTP service around the pipeline: upload audio, get a
+ * job id, poll its progress, then download the subtitled MP4 and
+ * words.json. Jobs are kept on disk and run through a bounded queue
+ * (lib/render-jobs.js).
+ *
+ * Usage:
+ *   node scripts/render-server.js [--port 8090] [--host 127.0.0.1]
+ *                                 [--data-dir /tmp/audio2mp4-jobs] [--concurrency 1]
+ *                                 [--max-queued 20] [--max-upload-mb 200] [--model small]
+ *
+ * Endpoints (JSON unless noted):
+ *   POST   /jobs              multipart upload: `audio` (the file) plus optional
+ *                             `mode`, `style`, `lang` and `format` fields → 202 + job
+ *   GET    /jobs              all jobs, newest first
+ *   GET    /jobs/:id          state, progress (0–100), queue position, error
+ *   GET    /jobs/:id/video    the MP4 (once done)
+ *   GET    /jobs/:id/words    words.json (once transcribed)
+ *   POST   /jobs/:id/cancel   stop a queued or running job
+ *   DELETE /jobs/:id          cancel if needed and delete its files
+ *   GET    /health
+ *
+ *   curl -F audio=@talk.mp3 -F mode=karaoke http://localhost:8090/jobs
+ *
+ * With --api-key (or RENDER_API_KEY) every request except /health needs an
+ * "Authorization: Bearer <key>" header. The server listens on localhost
+ * unless --host says otherwise.
+ *
+ * SIGINT/SIGTERM stops accepting uploads and kills running jobs; they are
+ * queued again on the next start.
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const http   = require('http');
+const crypto = require('crypto');
+const { parseMultipart } = require('./lib/multipart');
+const { createJobService } = require('./lib/render-jobs');
+const { UsageError, InputError } = require('./lib/errors');
+
+// ---------------------------------------------------------------------------
+// Argument parsing
+// ---------------------------------------------------------------------------
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    port:    8090,
+    host:    '127.0.0.1',
+    dataDir: path.join(os.tmpdir(), 'audio2mp4-jobs'),
+    concurrency: 1,
+    maxQueued:   20,
+    maxUploadMB: 200,
+    model:   'small',
+    python:  process.env.PYTHON || 'python3',
+    apiKey:  process.env.RENDER_API_KEY || '',
+  };
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--port':     opts.port    = parseInt(args[++i], 10); break;
+      case '--host':     opts.host    = args[++i]; break;
+      case '--data-dir': opts.dataDir = args[++i]; break;
+      case '--concurrency': opts.concurrency = parseInt(args[++i], 10); break;
+      case '--max-queued':  opts.maxQueued   = parseInt(args[++i], 10); break;
+      case '--max-upload-mb': opts.maxUploadMB = parseFloat(args[++i]); break;
+      case '--model':    opts.model   = args[++i]; break;
+      case '--python':   opts.python  = args[++i]; break;
+      case '--api-key':  opts.apiKey  = args[++i]; break;
+    }
+  }
+  for (const [flag, value] of [['--port', opts.port], ['--concurrency', opts.concurrency], ['--max-queued', opts.maxQueued]]) {
+    if (!(value >= 0) || (flag !== '--port' && value < 1)) {
+      console.error(`ERROR: ${flag} must be a positive number`);
+      process.exit(1);
+    }
+  }
+  if (!(opts.maxUploadMB > 0)) {
+    console.error('ERROR: --max-upload-mb must be a positive number');
+    process.exit(1);
+  }
+  return opts;
+}
+
+// ---------------------------------------------------------------------------
+// Responses
+// ---------------------------------------------------------------------------
+function sendJson(res, statusCode, body) {
+  const data = JSON.stringify(body, null, 2) + '\n';
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(data),
+  });
+  res.end(data);
+}
+
+function sendError(res, statusCode, message) {
+  sendJson(res, statusCode, { error: message });
+}
+
+function sendFile(res, file, contentType, downloadName) {
+  const size = fs.statSync(file).size;
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Length': size,
+    'Content-Disposition': `attachment; filename="${downloadName}"`,
+  });
+  fs.createReadStream(file).pipe(res);
+}
+
+// What a client sees of a job
+function jobView(service, job) {
+  const base = `/jobs/${job.id}`;
+  const files = service.files(job.id);
+  return {
+    id:         job.id,
+    state:      job.state,
+    progress:   job.progress,
+    position:   service.position(job.id),
+    options:    job.options,
+    file_name:  job.file_name,
+    language:   job.language,
+    error:      job.error,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    links: {
+      self:   base,
+      video:  files.video ? `${base}/video` : null,
+      words:  files.words ? `${base}/words` : null,
+      cancel: ['done', 'failed', 'cancelled'].includes(job.state) ? null : `${base}/cancel`,
+    },
+  };
+}
+
+// Constant-time check of the Authorization header
+function authorized(req, apiKey) {
+  if (!apiKey) return true;
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!m) return false;
+  const given = Buffer.from(m[1].trim());
+  const expected = Buffer.from(apiKey);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// ---------------------------------------------------------------------------
+// Routes
+// ---------------------------------------------------------------------------
+async function createJob(req, res, service, opts) {
+  const uploadDir = path.join(opts.dataDir, '.uploads', crypto.randomUUID());
+  try {
+    const { fields, files } = await parseMultipart(req, {
+      fileDir: uploadDir,
+      maxBytes: opts.maxUploadMB * 1024 * 1024,
+    });
+    const upload = files.audio || files.file;
+    if (!upload) throw new InputError('Attach the audio file as a multipart field named "audio"');
+    if (upload.size === 0) throw new InputError('The uploaded file is empty');
+    const job = service.create({
+      upload: upload.path,
+      fileName: upload.filename,
+      options: { mode: fields.mode, style: fields.style, lang: fields.lang, format: fields.format },
+    });
+    console.log(`Job ${job.id} queued: ${job.file_name} (${job.options.mode}, ${job.options.style})`);
+    res.setHeader('Location', `/jobs/${job.id}`);
+    sendJson(res, 202, jobView(service, job));
+  } finally {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  }
+}
+
+async function route(req, res, service, opts) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const parts = pathname.split('/').filter(Boolean);
+  const method = req.method;
+
+  if (pathname === '/health' && method === 'GET') {
+    return sendJson(res, 200, { ok: true, jobs: service.counts() });
+  }
+  if (!authorized(req, opts.apiKey)) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return sendError(res, 401, 'Missing or wrong API key');
+  }
+  if (parts[0] !== 'jobs' || parts.length > 3) return sendError(res, 404, 'Not found');
+
+  if (parts.length === 1) {
+    if (method === 'POST') return createJob(req, res, service, opts);
+    if (method === 'GET') return sendJson(res, 200, { jobs: service.list().map(j => jobView(service, j)) });
+    return sendError(res, 405, 'Method not allowed');
+  }
+
+  const job = service.get(parts[1]);
+  if (!job) return sendError(res, 404, `No job ${parts[1]}`);
+  const action = `${method} ${parts[2] || ''}`;
+  switch (action) {
+    case 'GET ':
+      return sendJson(res, 200, jobView(service, job));
+    case 'DELETE ':
+      await service.remove(job.id);
+      return sendJson(res, 200, { id: job.id, deleted: true });
+    case 'POST cancel': {
+      if (['done', 'failed'].includes(job.state)) {
+        return sendError(res, 409, `Job ${job.id} has already ${job.state === 'done' ? 'finished' : 'failed'}`);
+      }
+      await service.cancel(job.id);
+      return sendJson(res, 200, jobView(service, job));
+    }
+    case 'GET video': {
+      const { video } = service.files(job.id);
+      if (!video) return sendError(res, 409, `Job ${job.id} is ${job.state}; the video isn't ready`);
+      return sendFile(res, video, 'video/mp4', `${job.id}.mp4`);
+    }
+    case 'GET words': {
+      const { words } = service.files(job.id);
+      if (!words) return sendError(res, 409, `Job ${job.id} is ${job.state}; there is no transcript yet`);
+      return sendFile(res, words, 'application/json', `${job.id}-words.json`);
+    }
+    default:
+      return ['', 'cancel', 'video', 'words'].includes(parts[2] || '')
+        ? sendError(res, 405, 'Method not allowed')
+        : sendError(res, 404, 'Not found');
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+function main() {
+  const opts = parseArgs();
+  const service = createJobService({
+    dataDir:     opts.dataDir,
+    concurrency: opts.concurrency,
+    maxQueued:   opts.maxQueued,
+    python:      opts.python,
+    model:       opts.model,
+  });
+  service.start();
+
+  const server = http.createServer((req, res) => {
+    route(req, res, service, opts).catch(err => {
+      const statusCode = err.statusCode ||
+        (err instanceof UsageError || err instanceof InputError ? 400 : 500);
+      if (statusCode >= 500 && statusCode !== 503) console.error(`ERROR: ${req.method} ${req.url}: ${err.stack || err}`);
+      if (res.headersSent) return res.destroy();
+      if (statusCode === 413 || statusCode === 400) res.setHeader('Connection', 'close');
+      sendError(res, statusCode, err.message || 'Internal error');
+    });
+  });
+
+  let stopping = false;
+  const shutdown = async signal => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    console.log(`\n${signal} received — stopping; running jobs will be queued again on the next start.`);
+    server.close();
+    await service.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT',  () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  server.listen(opts.port, opts.host, () => {
+    const c = service.counts();
+    console.log(`Render server listening on http://${opts.host}:${server.address().port} ` +
+      `(data: ${opts.dataDir}, ${c.queued} queued, concurrency ${opts.concurrency}${opts.apiKey ? ', API key required' : ''})`);
+  });
+}
+
+main();
@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+/**
+ * telegram-bot.js
+ * Long-running Telegram bot: long-polls getUpdates, queues audio, video and
+ * link messages and answers settings commands like telegram-poll.js
+ * (lib/telegram-updates.js), and processes each job in-process — download,
+ * transcribe.py, generateVideo(), sendVideo — one at a time, oldest first.
+ * A sent video's picture becomes the background unless the chat chose
+ * /background plain. A status message (lib/telegram-status.js) shows each
+ * job's progress, and the result is delivered by lib/telegram-upload.js.
+ *
+ * Usage:
+ *   node scripts/telegram-bot.js [--api-base http://localhost:8081] [--model small]
+ *                                [--work-dir /tmp/audio2mp4-bot] [--poll-timeout 50]
+ *
+ * The queue, settings and offset files are the same ones the workflow uses,
+ * so the bot picks up where a previous run (or the workflow) left off; don't
+ * run both against one bot at the same time. Failed jobs are retried up to
+ * --max-attempts times before the user gets an error reply.
+ *
+ * Shutdown: the first SIGINT/SIGTERM stops polling and lets the current job
+ * finish; a second one exits at once, leaving the job to be retried (as an
+ * interrupted attempt) on the next start.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const queueLib = require('./lib/telegram-queue');
+const settingsLib = require('./lib/telegram-settings');
+const updatesLib = require('./lib/telegram-updates');
+const { createTelegramApi, apiBaseFromEnv } = require('./lib/telegram-api');
+const media = require('./lib/telegram-media');
+const { InputError } = require('./lib/errors');
+const pipeline = require('./lib/pipeline');
+const { createStatus, progressText } = require('./lib/telegram-status');
+const { deliverVideo, maxUploadMB } = require('./lib/telegram-upload');
+const { buildCaption } = require('./telegram-reply');
+const { generateVideo } = require('./generate-video');
+
+const RETRY_DELAYS = [1, 2, 5, 10, 30, 60];   // seconds between failed polls
+
+// ---------------------------------------------------------------------------
+// Argument parsing
+// ---------------------------------------------------------------------------
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    token:   process.env.TELEGRAM_BOT_TOKEN || '',
+    apiBase: apiBaseFromEnv(),
+    workDir: path.join(os.tmpdir(), 'audio2mp4-bot'),
+    model:   'small',
+    python:  process.env.PYTHON || 'python3',
+    pollTimeout: 50,
+    queue:    queueLib.QUEUE_FILE,
+    settings: settingsLib.SETTINGS_FILE,
+    offset:   updatesLib.OFFSET_FILE,
+    maxAttempts: queueLib.MAX_ATTEMPTS,
+    maxFileMB: media.maxFileMB(),
+    maxUploadMB: maxUploadMB(),
+  };
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--token':    opts.token    = args[++i]; break;
+      case '--api-base': opts.apiBase  = args[++i]; break;
+      case '--work-dir': opts.workDir  = args[++i]; break;
+      case '--model':    opts.model    = args[++i]; break;
+      case '--python':   opts.python   = args[++i]; break;
+      case '--poll-timeout': opts.pollTimeout = parseInt(args[++i], 10); break;
+      case '--queue':    opts.queue    = args[++i]; break;
+      case '--settings': opts.settings = args[++i]; break;
+      case '--offset':   opts.offset   = args[++i]; break;
+      case '--max-attempts': opts.maxAttempts = parseInt(args[++i], 10); break;
+      case '--max-file-mb': opts.maxFileMB = parseFloat(args[++i]); break;
+      case '--max-upload-mb': opts.maxUploadMB = parseFloat(args[++i]); break;
+    }
+  }
+  if (!opts.token) {
+    console.error('ERROR: Telegram bot token is required (--token or TELEGRAM_BOT_TOKEN env var)');
+    process.exit(1);
+  }
+  if (!(opts.pollTimeout >= 0)) {
+    console.error('ERROR: --poll-timeout must be a number of seconds');
+    process.exit(1);
+  }
+  return opts;
+}
+
+// ---------------------------------------------------------------------------
+// Shutdown
+// ---------------------------------------------------------------------------
+const state = {
+  stopping: false,
+  poll:  null,    // AbortController of the getUpdates request in flight
+  job:   null,    // AbortController of a running transcribe.py
+  wake:  null,    // ends a retry delay early
+};
+
+function onSignal(signal) {
+  if (state.stopping) {
+    console.log(`\n${signal} again — exiting now; the current job will be retried on the next start.`);
+    if (state.job) state.job.abort();
+    process.exit(130);
+  }
+  state.stopping = true;
+  console.log(`\n${signal} received — finishing the current job, then exiting (send again to exit now).`);
+  if (state.poll) state.poll.abort();
+  if (state.wake) state.wake();
+}
+
+// Resolves after `seconds`, or early on shutdown
+function sleep(seconds) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => { state.wake = null; resolve(); }, seconds * 1000);
+    state.wake = () => { clearTimeout(timer); state.wake = null; resolve(); };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Job pipeline
+// ---------------------------------------------------------------------------
+function transcribe(opts, audio, output, language) {
+  state.job = new AbortController();
+  return pipeline.transcribe({
+    python: opts.python,
+    model:  opts.model,
+    audio, output, language,
+    signal: state.job.signal,
+    onLine: line => console.log(line),
+  }).finally(() => { state.job = null; });
+}
+
+// Download, transcribe, render and send one claimed job. Throws with
+// `stage` set on the error so the failure notice says what went wrong.
+async function runJob(api, opts, job, status) {
+  const settings = Object.assign({}, settingsLib.DEFAULTS, job.settings);
+  const dir = path.join(opts.workDir, `job-${job.id}`);
+  fs.mkdirSync(dir, { recursive: true });
+
+  let stage = 'Download';
+  try {
+    await status.set('download');
+    const { audio, video } = await media.fetchMedia(api, job.file, path.join(dir, 'input'), { maxMB: opts.maxFileMB });
+
+    stage = 'Transcription';
+    await status.set('transcribe');
+    const wordsPath = path.join(dir, 'words.json');
+    await transcribe(opts, audio, wordsPath, settings.lang);
+    const lang = JSON.parse(fs.readFileSync(wordsPath, 'utf8')).language || 'en';
+    console.log(`Detected language: ${lang}`);
+
+    stage = 'Video rendering';
+    await status.set('render');
+    const result = await generateVideo({
+      words:   wordsPath,
+      audio,
+      video:   video && settings.background === 'video' ? video : null,
+      output:  path.join(dir, 'output.mp4'),
+      formats: [settings.format],
+      preset:  settings.style === 'default' ? null : settings.style,
+      mode:    settings.mode,
+      lang,
+      logger:  console,
+      onProgress: ev => {
+        const text = progressText(ev);
+        if (text) status.progress(text);
+      },
+    });
+
+    stage = 'Sending the video';
+    const caption = buildCaption({
+      lang,
+      durationSec: job.file.duration_sec || 0,
+      mode:  settings.mode,
+      style: settings.style,
+    });
+    const sent = await deliverVideo(api, job.chat_id, result.output, {
+      caption,
+      replyTo: job.message_id,
+      maxMB:   opts.maxUploadMB,
+      onStage: text => { console.log(text); status.set(text); },
+      logger:  console,
+    });
+    console.log(`✅ Video sent (${sent.method})! Message ID: ${sent.message.message_id}`);
+  } catch (err) {
+    err.stage = stage;
+    throw err;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function processNext(api, opts, queue) {
+  const job = queueLib.claimNext(queue);
+  queueLib.saveQueue(queue, opts.queue);
+  if (!job) return false;
+
+  const { file } = job;
+  console.log(`Job ${job.id} (attempt ${job.attempts}): ${file.file_name} ` +
+    `(${file.kind || 'audio'}, ${file.mime_type || file.url}, ${file.duration_sec}s)`);
+  const status = createStatus(api, job, { logger: console });
+  try {
+    await runJob(api, opts, job, status);
+    queueLib.complete(queue, job.id);
+  } catch (err) {
+    // Bad input (too large, no sound, dead link) is explained and not retried
+    const permanent = err instanceof InputError && ['Download', 'Sending the video'].includes(err.stage);
+    console.error(`ERROR: ${err.stage} failed for job ${job.id}: ${err.message || err}`);
+    queueLib.fail(queue, job.id, permanent ? err.message : `${err.stage} failed`, opts.maxAttempts, { permanent });
+  }
+  await status.settled();
+  await updatesLib.reportOutcome(api, job, opts.maxAttempts);
+  queueLib.saveQueue(queue, opts.queue);
+  console.log(`Job ${job.id}: ${job.state}`);
+  return true;
+}
+
+// ---------------------------------------------------------------------------
+// Main loop
+// ---------------------------------------------------------------------------
+async function main() {
+  const opts = parseArgs();
+  const api  = createTelegramApi({ token: opts.token, apiBase: opts.apiBase });
+  const allowedChat = updatesLib.allowedChatId();
+
+  process.on('SIGINT',  () => onSignal('SIGINT'));
+  process.on('SIGTERM', () => onSignal('SIGTERM'));
+
+  const queue = queueLib.loadQueue(opts.queue);
+  for (const job of queueLib.recover(queue, opts.maxAttempts)) {
+    console.log(`Job ${job.id} was interrupted (attempt ${job.attempts}) → ${job.state}`);
+    await updatesLib.reportOutcome(api, job, opts.maxAttempts);
+  }
+  queueLib.saveQueue(queue, opts.queue);
+
+  let offset = updatesLib.loadOffset(opts.offset);
+  let failures = 0;
+  console.log(`Bot running against ${api.base} from offset ${offset} (Ctrl+C to stop)...`);
+
+  while (!state.stopping) {
+    // Wait for updates only when there's nothing to do; with jobs pending,
+    // just pick up anything that arrived (commands get answered between jobs)
+    const pending = queueLib.counts(queue).pending > 0;
+    const timeout = pending ? 0 : opts.pollTimeout;
+    let updates;
+    state.poll = new AbortController();
+    try {
+      updates = await api.call('getUpdates', { offset, limit: 20, timeout, allowed_updates: ['message'] },
+        { timeoutMs: (timeout + 30) * 1000, signal: state.poll.signal });
+      failures = 0;
+    } catch (err) {
+      if (state.stopping) break;
+      const delay = RETRY_DELAYS[Math.min(failures++, RETRY_DELAYS.length - 1)];
+      console.error(`WARNING: getUpdates failed (${err.message}); retrying in ${delay}s`);
+      await sleep(delay);
+      if (!pending) continue;
+      updates = [];
+    } finally {
+      state.poll = null;
+    }
+
+    if (updates.length > 0) {
+      const settings = settingsLib.loadSettings(opts.settings);
+      const queued = await updatesLib.handleUpdates(api, updates,
+        { queue, settings, allowedChat, maxMB: opts.maxFileMB });
+      settingsLib.saveSettings(settings, opts.settings);
+      queueLib.saveQueue(queue, opts.queue);
+      // Offset past all received updates — they are safely queued
+      offset = updatesLib.nextOffset(updates, offset);
+      updatesLib.saveOffset(offset, opts.offset);
+      if (queued > 0) console.log(`Queued ${queued} new job(s).`);
+    }
+
+    await processNext(api, opts, queue);
+  }
+
+  const c = queueLib.counts(queue);
+  console.log(`Stopped: ${c.pending} pending, ${c.done} done, ${c.failed} failed.`);
+}
+
+main().catch(err => {
+  console.error('FATAL:', err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * telegram-job.js
+ * Records the outcome of the job claimed by telegram-poll.js.
+ *
+ * Usage:
+ *   node scripts/telegram-job.js done --meta telegram-meta.json
+ *   node scripts/telegram-job.js fail --meta telegram-meta.json --error "Transcription failed"
+ *
+ * A failed job goes back to the queue until it has used up its attempts
+ * (--max-attempts, default 3); then the user gets an error reply. The job's
+ * status message is removed, or says a retry is coming.
+ *
+ * Exit codes:
+ *   0 — recorded (for fail: the job will be retried)
+ *   3 — the job failed for good and the user was told
+ *   1 — error
+ */
+
+'use strict';
+
+const fs = require('fs');
+const queueLib = require('./lib/telegram-queue');
+const updatesLib = require('./lib/telegram-updates');
+const { createTelegramApi, apiBaseFromEnv } = require('./lib/telegram-api');
+
+// ---------------------------------------------------------------------------
+// Argument parsing
+// ---------------------------------------------------------------------------
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    action: args[0],
+    token:  process.env.TELEGRAM_BOT_TOKEN || '',
+    apiBase: apiBaseFromEnv(),
+    meta:   'telegram-meta.json',
+    queue:  queueLib.QUEUE_FILE,
+    error:  'Processing failed',
+    maxAttempts: queueLib.MAX_ATTEMPTS,
+  };
+  for (let i = 1; i < args.length; i++) {
+    switch (args[i]) {
+      case '--token': opts.token = args[++i]; break;
+      case '--api-base': opts.apiBase = args[++i]; break;
+      case '--meta':  opts.meta  = args[++i]; break;
+      case '--queue': opts.queue = args[++i]; break;
+      case '--error': opts.error = args[++i]; break;
+      case '--max-attempts': opts.maxAttempts = parseInt(args[++i], 10); break;
+    }
+  }
+  if (opts.action !== 'done' && opts.action !== 'fail') {
+    console.error('ERROR: expected "done" or "fail" as the first argument');
+    process.exit(1);
+  }
+  return opts;
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+async function main() {
+  const opts = parseArgs();
+
+  if (!fs.existsSync(opts.meta)) {
+    console.error(`ERROR: Metadata file not found: ${opts.meta}`);
+    process.exit(1);
+  }
+  const meta  = JSON.parse(fs.readFileSync(opts.meta, 'utf8'));
+  const queue = queueLib.loadQueue(opts.queue);
+
+  const job = opts.action === 'done'
+    ? queueLib.complete(queue, meta.job_id)
+    : queueLib.fail(queue, meta.job_id, opts.error, opts.maxAttempts);
+  if (!job) {
+    console.error(`ERROR: Job ${meta.job_id} is not in the queue`);
+    process.exit(1);
+  }
+  console.log(`Job ${job.id}: ${job.state}${job.error ? ` (${job.error})` : ''}`);
+
+  if (!opts.token) {
+    queueLib.saveQueue(queue, opts.queue);
+    if (job.state !== 'failed') return;
+    console.error('ERROR: Telegram bot token is required to send the error reply');
+    process.exit(1);
+  }
+  // Error reply for a final failure; the status message is removed or
+  // turned into a retry notice
+  await updatesLib.reportOutcome(createTelegramApi({ token: opts.token, apiBase: opts.apiBase }), job, opts.maxAttempts);
+  queueLib.saveQueue(queue, opts.queue);
+  if (job.state === 'failed') {
+    console.log(`Sent error reply to chat ${job.chat_id}`);
+    process.exit(3);
+  }
+}
+
+main().catch(err => {
+  console.error('FATAL:', err.message || err);
+  process.exit(1);
+});
@@ -1,22 +1,36 @@
 #!/usr/bin/env node
 /**
  * telegram-poll.js
- * Polls Telegram bot for the latest unprocessed audio/voice message,
- * downloads the audio file, and saves metadata.
+ * Polls the Telegram bot, answers settings commands (/mode, /style, /lang,
+ * /format, /background, /settings, /help — see lib/telegram-settings.js),
+ * queues a job for every new audio, video or audio link (lib/telegram-media.js,
+ * lib/telegram-queue.js) with the chat's settings, then claims the oldest
+ * pending job, downloads it (extracting a video's sound to <output>.m4a) and
+ * saves metadata, including audio_file and video_file (null for audio) and
+ * the id of the job's status message (lib/telegram-status.js).
+ * Run it repeatedly to work through the queue;
+ * report each job's outcome with scripts/telegram-job.js. For a bot that
+ * stays up and processes jobs as they arrive, see scripts/telegram-bot.js.
+ *
+ * --api-base (or TELEGRAM_API_BASE) points at another Bot API server, e.g. a
+ * self-hosted one or a local mock.
  *
  * Exit codes:
- *   0 — audio found and downloaded
- *   2 — no new audio messages
+ *   0 — a job was claimed and its media downloaded
+ *   2 — no pending jobs
  *   1 — error
  */
 
 'use strict';
 
 const fs   = require('fs');
-const path = require('path');
-const https = require('https');
-const http  = require('http');
-const { URL } = require('url');
+const queueLib = require('./lib/telegram-queue');
+const settingsLib = require('./lib/telegram-settings');
+const updatesLib = require('./lib/telegram-updates');
+const media = require('./lib/telegram-media');
+const { createStatus } = require('./lib/telegram-status');
+const { InputError } = require('./lib/errors');
+const { createTelegramApi, apiBaseFromEnv } = require('./lib/telegram-api');
 
 // ---------------------------------------------------------------------------
 // Argument parsing
@@ -25,14 +39,26 @@ function parseArgs() {
   const args = process.argv.slice(2);
   const opts = {
     token:  process.env.TELEGRAM_BOT_TOKEN || '',
+    apiBase: apiBaseFromEnv(),
     output: 'audio/input',
     meta:   'telegram-meta.json',
+    queue:  queueLib.QUEUE_FILE,
+    settings: settingsLib.SETTINGS_FILE,
+    offset: updatesLib.OFFSET_FILE,
+    maxAttempts: queueLib.MAX_ATTEMPTS,
+    maxFileMB: media.maxFileMB(),
   };
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
       case '--token':  opts.token  = args[++i]; break;
+      case '--api-base': opts.apiBase = args[++i]; break;
       case '--output': opts.output = args[++i]; break;
       case '--meta':   opts.meta   = args[++i]; break;
+      case '--queue':  opts.queue  = args[++i]; break;
+      case '--settings': opts.settings = args[++i]; break;
+      case '--offset': opts.offset = args[++i]; break;
+      case '--max-attempts': opts.maxAttempts = parseInt(args[++i], 10); break;
+      case '--max-file-mb': opts.maxFileMB = parseFloat(args[++i]); break;
     }
   }
   if (!opts.token) {
@@ -42,154 +68,90 @@ function parseArgs() {
   return opts;
 }
 
-// ---------------------------------------------------------------------------
-// Simple HTTP/HTTPS GET helper that returns body as Buffer
-// ---------------------------------------------------------------------------
-function httpGet(urlStr) {
-  return new Promise((resolve, reject) => {
-    const parsed = new URL(urlStr);
-    const lib = parsed.protocol === 'https:' ? https : http;
-    lib.get(urlStr, res => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return resolve(httpGet(res.headers.location));
-      }
-      const chunks = [];
-      res.on('data', c => chunks.push(c));
-      res.on('end', () => resolve(Buffer.concat(chunks)));
-      res.on('error', reject);
-    }).on('error', reject);
-  });
-}
-
-// ---------------------------------------------------------------------------
-// Telegram API call
-// ---------------------------------------------------------------------------
-async function telegramApi(token, method, params = {}) {
-  const qs = new URLSearchParams(params).toString();
-  const url = `https://api.telegram.org/bot${token}/${method}${qs ? '?' + qs : ''}`;
-  const body = await httpGet(url);
-  const json = JSON.parse(body.toString('utf8'));
-  if (!json.ok) {
-    throw new Error(`Telegram API error [${method}]: ${json.description}`);
-  }
-  return json.result;
-}
-
-// ---------------------------------------------------------------------------
-// Load offset
-// ---------------------------------------------------------------------------
-const OFFSET_FILE = path.join(__dirname, '..', 'references', 'telegram-offset.json');
-
-function loadOffset() {
-  try {
-    const data = JSON.parse(fs.readFileSync(OFFSET_FILE, 'utf8'));
-    return data.offset || 0;
-  } catch (e) {
-    return 0;
-  }
-}
-
-function saveOffset(offset) {
-  fs.writeFileSync(OFFSET_FILE, JSON.stringify({ offset }, null, 2) + '\n', 'utf8');
-}
-
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
 async function main() {
   const opts = parseArgs();
-  const allowedChatId = process.env.TELEGRAM_ALLOWED_CHAT_ID
-    ? parseInt(process.env.TELEGRAM_ALLOWED_CHAT_ID, 10)
-    : null;
+  const api  = createTelegramApi({ token: opts.token, apiBase: opts.apiBase });
+
+  const queue = queueLib.loadQueue(opts.queue);
 
-  const lastOffset = loadOffset();
+  // A job left processing means the previous run died mid-job
+  for (const job of queueLib.recover(queue, opts.maxAttempts)) {
+    console.log(`Job ${job.id} was interrupted (attempt ${job.attempts}) → ${job.state}`);
+    await updatesLib.reportOutcome(api, job, opts.maxAttempts);
+  }
+
+  const lastOffset = updatesLib.loadOffset(opts.offset);
   console.log(`Polling Telegram from offset ${lastOffset}...`);
 
-  const updates = await telegramApi(opts.token, 'getUpdates', {
+  const updates = await api.call('getUpdates', {
     offset: lastOffset,
     limit:  20,
     timeout: 0,
   });
 
-  if (!updates || updates.length === 0) {
-    console.log('No new updates.');
-    process.exit(2);
-  }
-
-  // Filter to audio/voice messages
-  const audioUpdates = updates.filter(u => {
-    const msg = u.message;
-    if (!msg) return false;
-    if (allowedChatId && msg.chat.id !== allowedChatId) return false;
-    return !!(msg.voice || msg.audio || (msg.document && msg.document.mime_type && msg.document.mime_type.startsWith('audio/')));
+  const settings = settingsLib.loadSettings(opts.settings);
+  const queued = await updatesLib.handleUpdates(api, updates, {
+    queue,
+    settings,
+    allowedChat: updatesLib.allowedChatId(),
+    maxMB: opts.maxFileMB,
   });
-
-  // Update offset past all received updates
-  const maxUpdateId = Math.max(...updates.map(u => u.update_id));
-  saveOffset(maxUpdateId + 1);
-
-  if (audioUpdates.length === 0) {
-    console.log('No audio messages in updates.');
-    process.exit(2);
+  if (updates && updates.length > 0) {
+    settingsLib.saveSettings(settings, opts.settings);
+    // Update offset past all received updates — they are safely queued
+    updatesLib.saveOffset(updatesLib.nextOffset(updates, lastOffset), opts.offset);
   }
-
-  // Take the most recent audio message
-  const latest = audioUpdates[audioUpdates.length - 1];
-  const msg    = latest.message;
-
-  let fileId, fileName, mimeType, durationSec;
-
-  if (msg.voice) {
-    fileId      = msg.voice.file_id;
-    mimeType    = msg.voice.mime_type || 'audio/ogg';
-    durationSec = msg.voice.duration || 0;
-    fileName    = 'voice.ogg';
-  } else if (msg.audio) {
-    fileId      = msg.audio.file_id;
-    mimeType    = msg.audio.mime_type || 'audio/mpeg';
-    durationSec = msg.audio.duration || 0;
-    fileName    = msg.audio.file_name || 'audio.mp3';
-  } else {
-    fileId      = msg.document.file_id;
-    mimeType    = msg.document.mime_type || 'audio/mpeg';
-    durationSec = 0;
-    fileName    = msg.document.file_name || 'audio';
+  const c = queueLib.counts(queue);
+  console.log(`Queued ${queued} new job(s); ${c.pending} pending, ${c.done} done, ${c.failed} failed.`);
+
+  // Claim the oldest pending job and fetch its media. Bad input (too large,
+  // no sound, dead link) fails that job for good and moves on to the next.
+  let job, fetched;
+  while ((job = queueLib.claimNext(queue))) {
+    await createStatus(api, job, { logger: console }).set('download');
+    queueLib.saveQueue(queue, opts.queue);
+    const { file } = job;
+    console.log(`Job ${job.id} (attempt ${job.attempts}): ${file.file_name} ` +
+      `(${file.kind || 'audio'}, ${file.mime_type || file.url}, ${file.duration_sec}s)`);
+    try {
+      console.log(file.url ? 'Downloading the linked file...' : 'Downloading from Telegram...');
+      fetched = await media.fetchMedia(api, file, opts.output, { maxMB: opts.maxFileMB });
+      console.log(`Saved audio to: ${fetched.audio} (${(fetched.bytes / 1024).toFixed(1)} KB downloaded)`);
+      if (fetched.video) console.log(`Saved video to: ${fetched.video}`);
+      break;
+    } catch (err) {
+      const permanent = err instanceof InputError;
+      queueLib.fail(queue, job.id, permanent ? err.message : `download failed: ${err.message}`, opts.maxAttempts,
+        { permanent });
+      await updatesLib.reportOutcome(api, job, opts.maxAttempts);
+      queueLib.saveQueue(queue, opts.queue);
+      if (!permanent) throw err;
+      console.log(`Job ${job.id}: ${err.message}`);
+    }
+  }
+  queueLib.saveQueue(queue, opts.queue);
+  if (!job) {
+    console.log('No pending jobs.');
+    process.exit(2);
   }
-
-  // Determine extension
-  const extMap = {
-    'audio/ogg':  'ogg',
-    'audio/mpeg': 'mp3',
-    'audio/mp4':  'm4a',
-    'audio/wav':  'wav',
-    'audio/x-wav': 'wav',
-  };
-  const fileExt = extMap[mimeType] || path.extname(fileName).replace('.', '') || 'mp3';
-
-  console.log(`Found audio: ${fileName} (${mimeType}, ${durationSec}s)`);
-
-  // Get file path from Telegram
-  const fileInfo = await telegramApi(opts.token, 'getFile', { file_id: fileId });
-  const filePath = fileInfo.file_path;
-  const downloadUrl = `https://api.telegram.org/file/bot${opts.token}/${filePath}`;
-
-  // Download the file
-  console.log(`Downloading from Telegram...`);
-  const audioBuffer = await httpGet(downloadUrl);
-  const outputPath  = `${opts.output}.${fileExt}`;
-  const outputDir   = path.dirname(outputPath);
-  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
-  fs.writeFileSync(outputPath, audioBuffer);
-  console.log(`Saved audio to: ${outputPath} (${(audioBuffer.length / 1024).toFixed(1)} KB)`);
 
   // Write metadata
   const meta = {
-    chat_id:    msg.chat.id,
-    message_id: msg.message_id,
-    offset:     maxUpdateId + 1,
-    file_name:  fileName,
-    file_ext:   fileExt,
-    duration_sec: durationSec,
+    job_id:     job.id,
+    attempt:    job.attempts,
+    chat_id:    job.chat_id,
+    message_id: job.message_id,
+    offset:     updatesLib.loadOffset(opts.offset),
+    kind:       job.file.kind || 'audio',
+    file_name:  job.file.file_name,
+    audio_file: fetched.audio,
+    video_file: fetched.video,
+    duration_sec: job.file.duration_sec,
+    status_message_id: job.status_message_id || null,
+    settings:   Object.assign({}, settingsLib.DEFAULTS, job.settings),
   };
   fs.writeFileSync(opts.meta, JSON.stringify(meta, null, 2) + '\n', 'utf8');
   console.log(`Saved metadata to: ${opts.meta}`);
@@ -1,14 +1,31 @@
 #!/usr/bin/env node
 /**
  * telegram-reply.js
- * Sends the generated output.mp4 back to the Telegram chat via sendVideo.
+ * Sends the generated output.mp4 back to the Telegram chat as a reply to the
+ * user's message, streamed from disk with a thumbnail and the player's
+ * width/height/duration. A video over the upload limit (--max-upload-mb,
+ * default 50) is re-encoded to fit; one Telegram won't take as a video is
+ * sent as a document (lib/telegram-upload.js).
+ *
+ * Other modes, all for the job in --meta:
+ *   --error "<text>"     reply with a failure notice (a job failed for good)
+ *   --status <stage>     update the job's status message: download,
+ *                        transcribe, render, upload, or any text
+ *   --follow             pass stdin through to stdout, turning
+ *                        generate-video.js progress into status updates:
+ *                        generate-video.js ... | telegram-reply.js --follow
+ *
+ * --api-base (or TELEGRAM_API_BASE) points at another Bot API server.
  */
 
 'use strict';
 
 const fs   = require('fs');
-const path = require('path');
-const https = require('https');
+const { langName } = require('./lib/telegram-settings');
+const { sendError } = require('./lib/telegram-updates');
+const { createTelegramApi, apiBaseFromEnv } = require('./lib/telegram-api');
+const { createStatus, progressLine } = require('./lib/telegram-status');
+const { deliverVideo, maxUploadMB } = require('./lib/telegram-upload');
 
 // ---------------------------------------------------------------------------
 // Argument parsing
@@ -17,18 +34,30 @@ function parseArgs() {
   const args = process.argv.slice(2);
   const opts = {
     token: process.env.TELEGRAM_BOT_TOKEN || '',
+    apiBase: apiBaseFromEnv(),
     video: 'output.mp4',
     meta:  'telegram-meta.json',
     mode:  'chunk',
+    style: null,
     lang:  'en',
+    error: null,
+    status: null,
+    follow: false,
+    maxUploadMB: maxUploadMB(),
   };
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
       case '--token': opts.token = args[++i]; break;
+      case '--api-base': opts.apiBase = args[++i]; break;
       case '--video': opts.video = args[++i]; break;
       case '--meta':  opts.meta  = args[++i]; break;
       case '--mode':  opts.mode  = args[++i]; break;
+      case '--style': opts.style = args[++i]; break;
       case '--lang':  opts.lang  = args[++i]; break;
+      case '--error': opts.error = args[++i]; break;
+      case '--status': opts.status = args[++i]; break;
+      case '--follow': opts.follow = true; break;
+      case '--max-upload-mb': opts.maxUploadMB = parseFloat(args[++i]); break;
     }
   }
   if (!opts.token) {
@@ -39,83 +68,16 @@ function parseArgs() {
 }
 
 // ---------------------------------------------------------------------------
-// Language code → display name (minimal map)
+// Caption for the finished video
 // ---------------------------------------------------------------------------
-const LANG_NAMES = {
-  en: 'English', es: 'Spanish', fr: 'French', de: 'German',
-  it: 'Italian', pt: 'Portuguese', ru: 'Russian', ar: 'Arabic',
-  zh: 'Chinese', ja: 'Japanese', ko: 'Korean', hi: 'Hindi',
-  tr: 'Turkish', pl: 'Polish', nl: 'Dutch', sv: 'Swedish',
-  fa: 'Persian', he: 'Hebrew', ur: 'Urdu',
-};
-function langName(code) { return LANG_NAMES[code] || code; }
-
-// ---------------------------------------------------------------------------
-// Multipart form-data upload helper
-// ---------------------------------------------------------------------------
-function sendVideo(token, chatId, videoPath, caption) {
-  return new Promise((resolve, reject) => {
-    const boundary = '----FormBoundary' + Math.random().toString(36).slice(2);
-    const videoBuffer = fs.readFileSync(videoPath);
-    const fileName = path.basename(videoPath);
-
-    const parts = [];
-
-    // chat_id field
-    parts.push(
-      `--${boundary}\r\n` +
-      `Content-Disposition: form-data; name="chat_id"\r\n\r\n` +
-      `${chatId}`
-    );
-
-    // caption field
-    if (caption) {
-      parts.push(
-        `--${boundary}\r\n` +
-        `Content-Disposition: form-data; name="caption"\r\n\r\n` +
-        `${caption}`
-      );
-    }
-
-    // Assemble body
-    const preamble = Buffer.from(parts.join('\r\n') + '\r\n', 'utf8');
-    const fileHeader = Buffer.from(
-      `--${boundary}\r\n` +
-      `Content-Disposition: form-data; name="video"; filename="${fileName}"\r\n` +
-      `Content-Type: video/mp4\r\n\r\n`,
-      'utf8'
-    );
-    const epilogue = Buffer.from(`\r\n--${boundary}--\r\n`, 'utf8');
-
-    const body = Buffer.concat([preamble, fileHeader, videoBuffer, epilogue]);
-
-    const options = {
-      hostname: 'api.telegram.org',
-      path: `/bot${token}/sendVideo`,
-      method: 'POST',
-      headers: {
-        'Content-Type': `multipart/form-data; boundary=${boundary}`,
-        'Content-Length': body.length,
-      },
-    };
-
-    const req = https.request(options, res => {
-      const chunks = [];
-      res.on('data', c => chunks.push(c));
-      res.on('end', () => {
-        const json = JSON.parse(Buffer.concat(chunks).toString('utf8'));
-        if (!json.ok) {
-          reject(new Error(`Telegram sendVideo error: ${json.description}`));
-        } else {
-          resolve(json.result);
-        }
-      });
-    });
-
-    req.on('error', reject);
-    req.write(body);
-    req.end();
-  });
+function buildCaption({ lang, durationSec, mode, style }) {
+  return [
+    '✅ Done!',
+    `🌍 Language: ${langName(lang)}`,
+    durationSec ? `⏱ Audio: ${durationSec} sec` : '',
+    `🎬 Subtitles: ${mode} mode`,
+    style && style !== 'default' ? `🎨 Style: ${style}` : '',
+  ].filter(Boolean).join('\n');
 }
 
 // ---------------------------------------------------------------------------
@@ -123,40 +85,90 @@ function sendVideo(token, chatId, videoPath, caption) {
 // ---------------------------------------------------------------------------
 async function main() {
   const opts = parseArgs();
+  const api  = createTelegramApi({ token: opts.token, apiBase: opts.apiBase });
 
-  if (!fs.existsSync(opts.video)) {
-    console.error(`ERROR: Video file not found: ${opts.video}`);
-    process.exit(1);
-  }
+  if (opts.follow) return follow(api, opts);
 
   if (!fs.existsSync(opts.meta)) {
     console.error(`ERROR: Metadata file not found: ${opts.meta}`);
     process.exit(1);
   }
-
   const meta = JSON.parse(fs.readFileSync(opts.meta, 'utf8'));
+
+  if (opts.error) {
+    await sendError(api, meta, opts.error);
+    console.log(`Sent error reply to chat ${meta.chat_id}`);
+    return;
+  }
+
+  if (opts.status) {
+    await createStatus(api, meta, { logger: console }).set(opts.status);
+    return;
+  }
+
+  if (!fs.existsSync(opts.video)) {
+    console.error(`ERROR: Video file not found: ${opts.video}`);
+    process.exit(1);
+  }
+
   const chatId = meta.chat_id;
   if (!chatId) {
     console.error('ERROR: chat_id not found in metadata');
     process.exit(1);
   }
 
-  const durationSec = meta.duration_sec || 0;
-  const caption = [
-    '✅ Done!',
-    `🌍 Language: ${langName(opts.lang)}`,
-    durationSec ? `⏱ Audio: ${durationSec} sec` : '',
-    `🎬 Subtitles: ${opts.mode} mode`,
-  ].filter(Boolean).join('\n');
+  const caption = buildCaption({
+    lang:        opts.lang,
+    durationSec: meta.duration_sec || 0,
+    mode:        opts.mode,
+    style:       opts.style,
+  });
 
   console.log(`Sending video to chat ${chatId}...`);
   console.log(`Caption:\n${caption}`);
 
-  const result = await sendVideo(opts.token, chatId, opts.video, caption);
-  console.log(`✅ Video sent! Message ID: ${result.message_id}`);
+  const status = createStatus(api, meta, { logger: console });
+  const result = await deliverVideo(api, chatId, opts.video, {
+    caption,
+    replyTo: meta.message_id,
+    maxMB:   opts.maxUploadMB,
+    onStage: text => { console.log(text); status.set(text); },
+    logger:  console,
+  });
+  console.log(`✅ Video sent (${result.method})! Message ID: ${result.message.message_id}`);
 }
 
-main().catch(err => {
-  console.error('FATAL:', err.message || err);
-  process.exit(1);
-});
+// Echo generate-video.js output while mirroring its progress in the job's
+// status message. Status problems never fail the pipe.
+function follow(api, opts) {
+  let status = null;
+  try {
+    status = createStatus(api, JSON.parse(fs.readFileSync(opts.meta, 'utf8')), { logger: console });
+  } catch (err) {
+    console.error(`WARNING: no status updates (${err.message})`);
+  }
+  return new Promise(resolve => {
+    let pending = '';
+    process.stdin.on('data', chunk => {
+      process.stdout.write(chunk);
+      const lines = (pending + chunk.toString()).split(/[\r\n]/);
+      pending = lines.pop();
+      for (const line of lines) {
+        const text = status && progressLine(line);
+        if (text) status.progress(text);
+      }
+    });
+    process.stdin.on('end', () => resolve(status && status.settled()));
+  });
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('FATAL:', err.message || err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  buildCaption,
+};